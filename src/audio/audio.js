@@ -0,0 +1,203 @@
+// everything the player hears, built on the three.js AudioListener attached
+// to the camera: one-shot effects (positional when they happen somewhere in
+// particular), looping positional sounds that follow the foxes and bears so
+// danger can be heard coming off screen, ambience and music. Effects and
+// music each go through their own gain so their volumes can be set apart.
+// Volumes and mute are saved to local storage.
+import { Audio, AudioListener, PositionalAudio } from 'three';
+import { readJSON, writeJSON } from '../storage.js';
+import { createSounds } from './sounds.js';
+
+const SETTINGS_KEY = "audio";
+const DEFAULT_SETTINGS = { volume: 0.8, music: 0.5, effects: 0.8, muted: false };
+
+// how the animal loops fade with distance: full volume within REF_DISTANCE,
+// silent past MAX_DISTANCE
+const REF_DISTANCE = 3;
+const MAX_DISTANCE = 30;
+// seconds to fade between music tracks
+const MUSIC_FADE = 1.5;
+
+export function createAudioManager(camera) {
+  let listener = new AudioListener();
+  camera.add(listener);
+  let context = listener.context;
+  let sounds = createSounds(context);
+
+  let effectsBus = context.createGain();
+  effectsBus.connect(listener.getInput());
+  let musicBus = context.createGain();
+  musicBus.connect(listener.getInput());
+
+  let settings = { ...DEFAULT_SETTINGS, ...readJSON(SETTINGS_KEY) };
+  applySettings();
+
+  // mesh -> the positional loop following it
+  let loops = new Map();
+  let loopsPaused = false;
+  let ambience = {
+    forest: createSound(Audio, "forest", effectsBus, true),
+    water: createSound(Audio, "water", effectsBus, true),
+    rain: createSound(Audio, "rain", effectsBus, true),
+  };
+  ambience.rain.setVolume(0);
+  let music = {};
+  let track;
+
+  // browsers may keep audio suspended until the page is interacted with, so
+  // nothing starts playing until the context is running. Every gesture wakes
+  // it up again if it was suspended (or suspended again later), and the
+  // ambience, loops and music start the first time it runs, right away if
+  // the browser lets the page play sound from the start.
+  let started = false;
+  let start = () => {
+    if (started || context.state != "running") return;
+    started = true;
+    for (let sound of Object.values(ambience)) sound.play();
+    setLoopsPaused(loopsPaused);
+    let name = track;
+    track = undefined;
+    setMusic(name);
+  };
+  let resume = () => {
+    if (context.state == "suspended") context.resume();
+  };
+  context.addEventListener("statechange", start);
+  window.addEventListener("pointerdown", resume);
+  window.addEventListener("keydown", resume);
+  start();
+
+  function createSound(type, name, bus, loop) {
+    let sound = new type(listener);
+    sound.setBuffer(sounds[name]);
+    sound.setLoop(loop);
+    sound.gain.disconnect();
+    sound.gain.connect(bus);
+    return sound;
+  }
+
+  // takes a sound out of the audio graph and the scene for good
+  function release(sound) {
+    if (sound.isPlaying) sound.stop();
+    sound.gain.disconnect();
+    sound.removeFromParent();
+  }
+
+  // plays a one-shot effect, from object (a mesh) if given so it is heard
+  // from where it happened
+  function playEffect(name, object) {
+    if (context.state != "running") return;
+    let sound;
+    if (object == undefined) {
+      sound = createSound(Audio, name, effectsBus, false);
+    } else {
+      sound = createSound(PositionalAudio, name, effectsBus, false);
+      sound.setRefDistance(REF_DISTANCE);
+      object.add(sound);
+    }
+    sound.onEnded = () => {
+      sound.isPlaying = false;
+      release(sound);
+    };
+    sound.play();
+  }
+
+  // starts a looping sound (e.g. "fox") following mesh around
+  function attachLoop(mesh, name) {
+    let sound = createSound(PositionalAudio, name, effectsBus, true);
+    sound.setDistanceModel("linear");
+    sound.setRefDistance(REF_DISTANCE);
+    sound.setMaxDistance(MAX_DISTANCE);
+    // start the loops at different points so a pack doesn't sound in unison
+    sound.offset = Math.random() * sounds[name].duration;
+    mesh.add(sound);
+    loops.set(mesh, sound);
+    if (context.state == "running" && !loopsPaused) sound.play();
+  }
+
+  // stops every animal loop, e.g. when the world is torn down
+  function clearLoops() {
+    for (let sound of loops.values()) release(sound);
+    loops.clear();
+  }
+
+  // pauses the animal loops while the game is paused
+  function setLoopsPaused(paused) {
+    loopsPaused = paused;
+    if (context.state != "running") return;
+    for (let sound of loops.values()) {
+      if (paused && sound.isPlaying) sound.pause();
+      if (!paused && !sound.isPlaying) sound.play();
+    }
+  }
+
+  // sets how much of the ambience is water rather than forest, from 0 to 1
+  function setAmbience(water) {
+    ambience.water.setVolume(water);
+    ambience.forest.setVolume(1 - water * 0.5);
+  }
+
+  // how hard it is raining, from 0 to 1
+  function setRain(amount) {
+    ambience.rain.setVolume(amount);
+  }
+
+  // fades over to a music track: "calm", "danger", "won" or "lost" (the
+  // last two play once), or undefined for silence
+  function setMusic(name) {
+    if (name == track) return;
+    let now = context.currentTime;
+    // a track picked before audio could start was never created
+    let previous = music[track];
+    if (previous != undefined) {
+      previous.gain.gain.setValueAtTime(previous.gain.gain.value, now);
+      previous.gain.gain.linearRampToValueAtTime(0, now + MUSIC_FADE);
+      setTimeout(() => {
+        if (previous.isPlaying && previous != music[track]) previous.stop();
+      }, MUSIC_FADE * 1000);
+    }
+    track = name;
+    if (name == undefined || context.state != "running") return;
+
+    music[name] ??= createSound(Audio, name, musicBus, name == "calm" || name == "danger");
+    let sound = music[name];
+    if (sound.isPlaying) sound.stop();
+    sound.gain.gain.setValueAtTime(0, now);
+    sound.gain.gain.linearRampToValueAtTime(1, now + MUSIC_FADE);
+    sound.play();
+  }
+
+  // { volume, music, effects, muted }, volumes from 0 to 1
+  function getSettings() {
+    return { ...settings };
+  }
+
+  function setSettings(newSettings) {
+    settings = { ...settings, ...newSettings };
+    applySettings();
+    writeJSON(SETTINGS_KEY, settings);
+  }
+
+  function toggleMute() {
+    setSettings({ muted: !settings.muted });
+  }
+
+  function applySettings() {
+    listener.setMasterVolume(settings.muted ? 0 : settings.volume);
+    effectsBus.gain.value = settings.effects;
+    musicBus.gain.value = settings.music;
+  }
+
+  return {
+    playEffect,
+    attachLoop,
+    clearLoops,
+    setLoopsPaused,
+    setAmbience,
+    setRain,
+    setMusic,
+    getSettings,
+    setSettings,
+    toggleMute,
+  };
+}
@@ -0,0 +1,103 @@
+// every sound in the game, synthesized into AudioBuffers at startup since
+// there are no audio files: short effects, loops for the foxes, bears and
+// ambience, and the music. Anything random (noise, bird calls) is seeded so
+// the sounds are the same every time.
+import { createRandom } from '../random.js';
+
+// notes of the music, as semitones above A3
+const CALM_MELODY = [3, 7, 10, 15, 12, 10, 7, 5, 3, 7, 10, 12, 10, 7, 5, 0];
+const DANGER_MELODY = [0, 3, 0, 6, 0, 3, 7, 6];
+const WON_MELODY = [3, 7, 10, 15];
+const LOST_MELODY = [10, 6, 3, -2];
+
+// name -> AudioBuffer for every sound, made for context
+export function createSounds(context) {
+  let random = createRandom(426);
+  let noise = () => random() * 2 - 1;
+
+  // renders duration seconds of sample(t, i) into a mono buffer
+  function render(duration, sample) {
+    let buffer = context.createBuffer(1, Math.ceil(duration * context.sampleRate), context.sampleRate);
+    let data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) data[i] = sample(i / context.sampleRate, i);
+    return buffer;
+  }
+
+  // noise run through a one pole low pass filter; lower smoothing is darker
+  function filteredNoise(smoothing) {
+    let last = 0;
+    return () => (last += (noise() - last) * smoothing);
+  }
+
+  let wind = filteredNoise(0.02);
+  let rustle = filteredNoise(0.3);
+  let rumble = filteredNoise(0.05);
+  let splash = filteredNoise(0.2);
+  let water = filteredNoise(0.01);
+  let rain = filteredNoise(0.5);
+  let thunder = filteredNoise(0.03);
+
+  // forest birds: a chirp every second or so at a random pitch
+  let chirps = Array.from({ length: 8 }, (_, i) => ({ start: i + random() * 0.6, pitch: 2800 + random() * 1600 }));
+
+  return {
+    // a soft thump that drops in pitch
+    hop: render(0.12, (t) => Math.sin(2 * Math.PI * (180 - 500 * t) * t) * Math.exp(-t * 30) * 0.6),
+    // three rising notes
+    rescue: render(0.36, (t) => {
+      let note = Math.min(2, Math.floor(t / 0.12));
+      return Math.sin(2 * Math.PI * [660, 880, 1320][note] * t) * Math.exp(-(t % 0.12) * 20) * 0.4;
+    }),
+    // a snap of noise over a low growl
+    bite: render(0.2, (t) => (noise() * 0.6 + Math.sin(2 * Math.PI * 110 * t) * 0.4) * Math.exp(-t * 18)),
+    // a metallic clack
+    trap: render(0.35, (t) => (Math.sin(2 * Math.PI * 2400 * t) + Math.sin(2 * Math.PI * 3700 * t) * 0.7
+      + Math.sin(2 * Math.PI * 5200 * t) * 0.5 + noise() * Math.exp(-t * 200)) * Math.exp(-t * 14) * 0.3),
+    splash: render(0.4, (t) => splash() * Math.exp(-t * 8) * 1.6),
+    // a heavy landing
+    fall: render(0.25, (t) => Math.sin(2 * Math.PI * (90 - 100 * t) * t) * Math.exp(-t * 12) * 0.8),
+    // a charging bear's roar
+    roar: render(1, (t) => (sawtooth((80 - 30 * t) * t) * 0.5 + rumble() * 2) * Math.sin(Math.PI * t) * 0.7),
+    // a crack followed by a long rumble
+    thunder: render(3, (t) => (noise() * Math.exp(-t * 30) * 0.5 + thunder() * 4.5 * Math.exp(-t * 1.2))
+      * (0.7 + 0.3 * Math.sin(2 * Math.PI * 3 * t))),
+
+    // loops that follow the animals around: a fox padding through the
+    // undergrowth and a bear breathing heavily
+    fox: render(2, (t) => rustle() * Math.max(0, Math.sin(2 * Math.PI * 3 * t)) * 0.4),
+    bear: render(3, (t) => (sawtooth(55 * t) * 0.3 + rumble()) * (0.6 + 0.4 * Math.sin(2 * Math.PI * t / 3)) * 0.5),
+
+    // ambience: wind with birds, lapping water and rain
+    forest: render(8, (t) => {
+      let sample = wind() * (1.5 + Math.sin(2 * Math.PI * t / 8));
+      for (let chirp of chirps) {
+        let age = t - chirp.start;
+        if (age > 0 && age < 0.08) sample += Math.sin(2 * Math.PI * (chirp.pitch + 4000 * age) * age) * 0.15;
+      }
+      return sample * 0.5;
+    }),
+    water: render(6, (t) => water() * 4 * (0.7 + 0.3 * Math.sin(2 * Math.PI * t / 1.5))),
+    rain: render(4, () => rain() * 0.5),
+
+    calm: melody(CALM_MELODY, 0.5, 0.25),
+    danger: melody(DANGER_MELODY, 0.25, 0.35),
+    won: melody(WON_MELODY, 0.3, 0.3),
+    lost: melody(LOST_MELODY, 0.45, 0.3),
+  };
+
+  // one soft plucked note per step, seconds apart
+  function melody(notes, step, volume) {
+    return render(notes.length * step, (t) => {
+      let index = Math.floor(t / step);
+      let age = t - index * step;
+      let frequency = 220 * Math.pow(2, notes[index] / 12);
+      let tone = Math.sin(2 * Math.PI * frequency * t) + Math.sin(4 * Math.PI * frequency * t) * 0.3;
+      return tone * Math.exp(-age * 5) * volume;
+    });
+  }
+}
+
+// a sawtooth wave in [-1, 1] for a phase in cycles
+function sawtooth(phase) {
+  return 2 * (phase - Math.floor(phase + 0.5));
+}
@@ -0,0 +1,150 @@
+// bear behaviour. Every bear guards a territory around the tile it spawned on.
+// It sleeps most of the time, wakes up on its own or when the rabbit makes
+// noise nearby, charges the rabbit while it is inside the territory and then
+// goes back home. An awake bear only charges once it has seen the rabbit
+// (see vision.js) and looks around its territory until then. Bears are
+// nocturnal: by day only noise wakes them, and at night they stay up once
+// awake.
+import { isNight } from './daynight.js';
+import { directionToAngle, hexDistance, hexEquals } from './hexgrid.js';
+import { landOnTile } from './movement.js';
+import { applyPenalty, loseLives } from './scoring.js';
+import { checkTraps, struggle } from './traps.js';
+import { canSee, getFacing } from './vision.js';
+import { getWeatherSight } from './weather.js';
+import { getTile } from './world.js';
+
+// how far (in hops) from home a bear will chase the rabbit
+export const TERRITORY_RADIUS = 5;
+// a hop this close to a sleeping bear wakes it up
+export const HEARING_RADIUS = 3;
+
+// length of the sleep/wake cycle, in ticks
+const SLEEP_TICKS = 20;
+const AWAKE_TICKS = 10;
+
+// a charging bear covers this many tiles per tick
+const CHARGE_STEPS = 2;
+
+// how wide a bear's view is, in degrees; it can see all of its territory
+const BEAR_CONE = 180;
+
+// a bear hit hurts a lot more than a fox bite
+export const BEAR_ATTACK_DAMAGE = 3;
+const BEAR_ATTACK_PENALTY = 0.8;
+
+// mode is one of "sleeping", "awake", "charging" or "returning". timer counts
+// down the ticks left before a sleeping bear wakes or an awake one dozes off.
+export function createBear(id, tile, random) {
+  return {
+    type: "bear",
+    id,
+    q: tile.q,
+    r: tile.r,
+    home: { q: tile.q, r: tile.r },
+    angle: directionToAngle(id),
+    mode: "sleeping",
+    // stagger the bears so they don't all wake up at once
+    timer: Math.floor(SLEEP_TICKS / 2 + random() * SLEEP_TICKS / 2),
+  };
+}
+
+export function isInTerritory(bear, hex) {
+  return hexDistance(bear.home, hex) <= TERRITORY_RADIUS;
+}
+
+// { range, cone } of every bear right now, see canSee in vision.js
+export function getBearVision(state) {
+  return { range: Math.min(TERRITORY_RADIUS, getWeatherSight(state)), cone: BEAR_CONE };
+}
+
+function setMode(state, bear, mode, timer = 0) {
+  bear.mode = mode;
+  bear.timer = timer;
+  state.events.emit("bearModeChanged", bear);
+}
+
+// the rabbit hopping is noisy; sleeping bears within earshot wake up and
+// turn towards the noise
+export function alertBears(state, hex) {
+  for (let bear of state.bears) {
+    if (bear.mode == "sleeping" && hexDistance(bear, hex) <= HEARING_RADIUS) {
+      if (!hexEquals(bear, hex)) bear.angle = getFacing(bear, hex);
+      setMode(state, bear, "awake", AWAKE_TICKS);
+    }
+  }
+}
+
+// called after the rabbit moves; walking into a bear is never a good idea
+export function checkBearContact(state) {
+  for (let bear of state.bears) {
+    if (hexEquals(bear, state.rabbit)) attackRabbit(state, bear);
+  }
+}
+
+function attackRabbit(state, bear) {
+  state.events.emit("bearAttack", bear);
+  loseLives(state, BEAR_ATTACK_DAMAGE);
+  applyPenalty(state, BEAR_ATTACK_PENALTY);
+
+  // having made its point, the bear heads home
+  setMode(state, bear, "returning");
+}
+
+// advances every bear by one tick
+export function updateBears(state) {
+  let night = isNight(state);
+  for (let bear of state.bears) {
+    if (struggle(bear)) continue;
+    let rabbitNearby = isInTerritory(bear, state.rabbit);
+
+    if (bear.mode == "sleeping") {
+      if (!night) continue;
+      bear.timer--;
+      if (bear.timer <= 0) setMode(state, bear, "awake", AWAKE_TICKS);
+    } else if (bear.mode == "awake") {
+      if (rabbitNearby && canSee(state.world, bear, state.rabbit, getBearVision(state))) {
+        setMode(state, bear, "charging");
+        continue;
+      }
+      // looks the other way next tick
+      bear.angle = (bear.angle + 180) % 360;
+      state.events.emit("bearTurned", bear);
+      if (!night) {
+        bear.timer--;
+        if (bear.timer <= 0) setMode(state, bear, "sleeping", SLEEP_TICKS);
+      }
+    } else if (bear.mode == "charging") {
+      if (!rabbitNearby) {
+        setMode(state, bear, "returning");
+        continue;
+      }
+      for (let i = 0; i < CHARGE_STEPS && bear.mode == "charging" && !(bear.stuckTicks > 0); i++) {
+        stepTowards(state, bear, state.rabbit);
+        if (hexEquals(bear, state.rabbit)) attackRabbit(state, bear);
+      }
+    } else if (bear.mode == "returning") {
+      stepTowards(state, bear, bear.home);
+      if (hexEquals(bear, bear.home)) setMode(state, bear, "awake", AWAKE_TICKS);
+    }
+  }
+}
+
+// one step along the cheapest path to goal. Bears never leave their
+// territory and can't walk through other animals.
+function stepTowards(state, bear, goal) {
+  let isBlocked = (tile) => !isInTerritory(bear, tile)
+    || state.foxes.some((fox) => hexEquals(fox, tile))
+    || state.bears.some((other) => other != bear && hexEquals(other, tile));
+
+  let next = state.pathfinder.nextStep(bear, goal, isBlocked);
+  if (next == undefined) return;
+
+  let from = getTile(state.world, bear.q, bear.r);
+  bear.angle = getFacing(bear, next);
+  bear.q = next.q;
+  bear.r = next.r;
+  state.events.emit("bearMoved", bear);
+  landOnTile(state, bear, from, next);
+  checkTraps(state, bear);
+}
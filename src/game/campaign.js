@@ -0,0 +1,84 @@
+// the campaign: a fixed run of levels (see level.js), each unlocked by
+// finishing the one before it. Progress is plain data, { [level id]:
+// { completed, bestScore, bestTime } }, kept in local storage by the caller.
+import { LEVEL_VERSION } from './level.js';
+
+// no traps unless a level lists them
+const NO_TRAPS = { snares: 0, pitfalls: 0, bearTraps: 0 };
+
+export const CAMPAIGN = [
+  {
+    id: "meadow",
+    name: "The meadow",
+    seed: 1021,
+    generate: { length: 16, maxHeight: 6, waterHeight: 0.15 },
+    counts: { babyRabbits: 2, foxes: 0, bears: 0, ...NO_TRAPS },
+    goal: { type: "home" },
+    parTime: 60,
+  },
+  {
+    id: "foxRun",
+    name: "Fox run",
+    seed: 2203,
+    generate: { length: 20, maxHeight: 8, waterHeight: 0.2 },
+    counts: { babyRabbits: 3, foxes: 2, bears: 0, ...NO_TRAPS, snares: 2 },
+    goal: { type: "home" },
+    parTime: 90,
+  },
+  {
+    id: "lake",
+    name: "The lake",
+    seed: 3307,
+    generate: { length: 22, maxHeight: 8, waterHeight: 0.3 },
+    counts: { babyRabbits: 4, foxes: 2, bears: 0, ...NO_TRAPS, pitfalls: 2 },
+    goal: { type: "rescue", count: 2 },
+    parTime: 90,
+  },
+  {
+    id: "bearCountry",
+    name: "Bear country",
+    seed: 4409,
+    generate: { length: 24, maxHeight: 10, waterHeight: 0.2 },
+    counts: { babyRabbits: 3, foxes: 1, bears: 2, ...NO_TRAPS, bearTraps: 2 },
+    goal: { type: "home" },
+    parTime: 120,
+  },
+  {
+    id: "highlands",
+    name: "The highlands",
+    seed: 5501,
+    generate: { length: 26, maxHeight: 14, waterHeight: 0.2 },
+    counts: { babyRabbits: 4, foxes: 3, bears: 1, snares: 2, pitfalls: 2, bearTraps: 1 },
+    goal: { type: "home" },
+    parTime: 150,
+  },
+  {
+    id: "holdOut",
+    name: "Hold out",
+    seed: 6607,
+    generate: { length: 24, maxHeight: 10, waterHeight: 0.25 },
+    counts: { babyRabbits: 2, foxes: 5, bears: 2, snares: 3, pitfalls: 3, bearTraps: 2 },
+    goal: { type: "survive", ticks: 90 },
+    parTime: 90,
+    lives: 5,
+  },
+].map((level) => ({ version: LEVEL_VERSION, ...level }));
+
+// the first level is always open, every other one once the level before it
+// has been finished
+export function isLevelUnlocked(progress, index) {
+  return index == 0 || progress[CAMPAIGN[index - 1]?.id]?.completed == true;
+}
+
+// records a finished level. result is { score, time }, time in seconds.
+// Returns the level's record along with whether this beat its best score.
+export function recordLevelResult(progress, id, { score, time }) {
+  let previous = progress[id];
+  let record = {
+    completed: true,
+    bestScore: Math.max(score, previous?.bestScore ?? -Infinity),
+    bestTime: Math.min(time, previous?.bestTime ?? Infinity),
+  };
+  progress[id] = record;
+  return { record, newBest: previous?.bestScore == undefined || score > previous.bestScore };
+}
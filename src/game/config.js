@@ -0,0 +1,145 @@
+// game configuration: map size and terrain, how many animals and traps, and
+// what the player starts with. Comes in Easy/Normal/Hard presets, any value of
+// which can be overridden (that's "custom"), and can be read from and written
+// to url parameters, e.g. ?difficulty=hard&foxes=6.
+
+// every setting, with the range it is allowed to take. Counts are whole
+// numbers, the rest may be fractional.
+export const SETTINGS = {
+  length: { label: "Map size", min: 10, max: 120, integer: true },
+  maxHeight: { label: "Max height", min: 1, max: 20, integer: false },
+  waterHeight: { label: "Water level", min: 0, max: 0.6, integer: false },
+  babyRabbits: { label: "Baby rabbits", min: 1, max: 30, integer: true },
+  foxes: { label: "Foxes", min: 0, max: 30, integer: true },
+  bears: { label: "Bears", min: 0, max: 15, integer: true },
+  snares: { label: "Snares", min: 0, max: 40, integer: true },
+  pitfalls: { label: "Pitfalls", min: 0, max: 40, integer: true },
+  bearTraps: { label: "Bear traps", min: 0, max: 40, integer: true },
+  lives: { label: "Lives", min: 1, max: 30, integer: true },
+  score: { label: "Starting score", min: 100, max: 100000, integer: true },
+};
+
+export const PRESETS = {
+  easy: {
+    length: 30,
+    maxHeight: 6,
+    waterHeight: 0.12,
+    babyRabbits: 3,
+    foxes: 1,
+    bears: 0,
+    snares: 2,
+    pitfalls: 1,
+    bearTraps: 1,
+    lives: 15,
+    score: 3 * 3600,
+  },
+  normal: {
+    length: 40,
+    maxHeight: 8,
+    waterHeight: 0.15,
+    babyRabbits: 4,
+    foxes: 2,
+    bears: 1,
+    snares: 4,
+    pitfalls: 4,
+    bearTraps: 2,
+    lives: 10,
+    score: 3 * 3600,
+  },
+  hard: {
+    length: 50,
+    maxHeight: 10,
+    waterHeight: 0.2,
+    babyRabbits: 6,
+    foxes: 5,
+    bears: 3,
+    snares: 8,
+    pitfalls: 8,
+    bearTraps: 5,
+    lives: 5,
+    score: 2 * 3600,
+  },
+};
+
+export const DEFAULT_DIFFICULTY = "normal";
+
+// a preset with some of its values replaced. The result remembers which
+// preset it started from; any override makes it "custom".
+export function createConfig(difficulty = DEFAULT_DIFFICULTY, overrides = {}) {
+  let preset = PRESETS[difficulty] ?? PRESETS[DEFAULT_DIFFICULTY];
+  let config = { ...preset, ...overrides };
+  config.difficulty = isPreset(config, difficulty) ? difficulty : "custom";
+  config.base = PRESETS[difficulty] ? difficulty : DEFAULT_DIFFICULTY;
+  return config;
+}
+
+function isPreset(config, difficulty) {
+  let preset = PRESETS[difficulty];
+  return preset != undefined && Object.keys(SETTINGS).every((key) => config[key] == preset[key]);
+}
+
+// clamps every value into its allowed range. Returns the fixed config and a
+// list of messages describing what had to change.
+export function validateConfig(config) {
+  let errors = [];
+  let valid = { ...config };
+
+  for (let [key, setting] of Object.entries(SETTINGS)) {
+    let value = Number(config[key]);
+    if (!Number.isFinite(value)) {
+      errors.push(setting.label + " must be a number");
+      value = PRESETS[config.base ?? DEFAULT_DIFFICULTY][key];
+    }
+    if (setting.integer) value = Math.round(value);
+    if (value < setting.min || value > setting.max) {
+      errors.push(setting.label + " must be between " + setting.min + " and " + setting.max);
+      value = Math.min(setting.max, Math.max(setting.min, value));
+    }
+    valid[key] = value;
+  }
+  return { config: valid, errors };
+}
+
+// every animal needs a spawn tile of its own (and the rabbit needs one too),
+// so once the world exists the counts are cut down to what fits on its
+// `spawnTiles` free tiles. Babies get first pick, then bears, then foxes; there
+// is always at least one baby. Traps never need cutting, they simply stop
+// being placed when they run out of room.
+export function fitConfigToWorld(config, spawnTiles) {
+  let fitted = { ...config };
+  let errors = [];
+  let free = spawnTiles - 1;
+
+  for (let key of ["babyRabbits", "bears", "foxes"]) {
+    let count = Math.max(0, Math.min(fitted[key], free));
+    if (key == "babyRabbits") count = Math.max(1, count);
+    if (count < fitted[key]) {
+      errors.push("only room for " + count + " " + SETTINGS[key].label.toLowerCase());
+    }
+    fitted[key] = count;
+    free -= count;
+  }
+  return { config: fitted, errors };
+}
+
+// reads ?difficulty= and any individual setting from url parameters
+export function configFromParams(params) {
+  let overrides = {};
+  for (let key of Object.keys(SETTINGS)) {
+    if (params.has(key)) overrides[key] = Number(params.get(key));
+  }
+  return validateConfig(createConfig(params.get("difficulty") ?? DEFAULT_DIFFICULTY, overrides)).config;
+}
+
+// the url parameters that reproduce config: the preset it is based on plus
+// whichever values differ from it
+export function configToParams(config, params) {
+  for (let key of ["difficulty", ...Object.keys(SETTINGS)]) params.delete(key);
+
+  let base = PRESETS[config.base] ? config.base : DEFAULT_DIFFICULTY;
+  if (base != DEFAULT_DIFFICULTY) params.set("difficulty", base);
+  for (let key of Object.keys(SETTINGS)) {
+    if (config[key] != PRESETS[base][key]) params.set(key, config[key]);
+  }
+  return params;
+}
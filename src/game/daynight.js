@@ -0,0 +1,34 @@
+// the time of day. The clock runs on game ticks, so a day lasts as long in
+// turn based games as the same number of moves in real time ones, and a
+// replay sees the same time of day at every tick. Times of day are fractions
+// of a day: 0 is midnight, 0.5 is noon.
+
+// ticks in a whole day
+export const DAY_TICKS = 180;
+// games start at 7:12 in the morning unless told otherwise
+export const DAY_START = 0.3;
+
+// time of day at a (possibly fractional) tick of the game, e.g. one that is
+// part way to the next tick in real time mode
+export function getTimeOfDay(state, tick = state.tick) {
+  let time = (state.dayStart + tick / DAY_TICKS) % 1;
+  return time < 0 ? time + 1 : time;
+}
+
+// how high the sun is, from -1 at midnight to 1 at noon
+export function getSunHeight(time) {
+  return -Math.cos(2 * Math.PI * time);
+}
+
+// from 6 in the evening to 6 in the morning
+export function isNight(state) {
+  return getSunHeight(getTimeOfDay(state)) < 0;
+}
+
+// "hh:mm" on a 24 hour clock
+export function formatClock(time) {
+  // rounded first so e.g. 0.3 of a day isn't a hair short of 7:12
+  let minutes = Math.floor(Math.round(time * 24 * 60 * 1000) / 1000) % (24 * 60);
+  let pad = (value) => String(value).padStart(2, "0");
+  return pad(Math.floor(minutes / 60)) + ":" + pad(minutes % 60);
+}
@@ -0,0 +1,27 @@
+// minimal event emitter used by the game state to tell whoever is listening
+// (the renderer, the hud, tests) that something changed. Kept dependency free
+// so the game core runs in node as well as the browser.
+export function createEmitter() {
+  let listeners = new Map();
+
+  function on(type, listener) {
+    if (!listeners.has(type)) listeners.set(type, new Set());
+    listeners.get(type).add(listener);
+    return () => off(type, listener);
+  }
+
+  function off(type, listener) {
+    if (listeners.has(type)) listeners.get(type).delete(listener);
+  }
+
+  function emit(type, payload) {
+    if (!listeners.has(type)) return;
+    for (let listener of [...listeners.get(type)]) listener(payload);
+  }
+
+  function clear() {
+    listeners.clear();
+  }
+
+  return { on, off, emit, clear };
+}
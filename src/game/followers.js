@@ -0,0 +1,47 @@
+// the chain of rescued babies following the rabbit. The rabbit leaves a trail
+// of the tiles it hopped off, and the i-th baby in the chain always stands on
+// the i-th most recent of them, so the chain retraces the rabbit's exact path.
+import { hexEquals } from './hexgrid.js';
+
+// a baby the rabbit just found joins at the front of the chain, right behind
+// the rabbit. The rest of the chain waits one hop to make room.
+export function joinChain(state, babyRabbit) {
+  babyRabbit.united = true;
+  state.chain.unshift(babyRabbit);
+  state.events.emit("babyUnited", babyRabbit);
+}
+
+// moves every baby in the chain one step along the trail. previousTile is the
+// tile the rabbit just hopped off.
+export function advanceChain(state, previousTile) {
+  state.trail.unshift({ q: previousTile.q, r: previousTile.r });
+  state.trail.length = Math.min(state.trail.length, state.chain.length);
+
+  for (let i = 0; i < state.chain.length && i < state.trail.length; i++) {
+    let babyRabbit = state.chain[i];
+    if (hexEquals(babyRabbit, state.trail[i])) continue;
+
+    babyRabbit.q = state.trail[i].q;
+    babyRabbit.r = state.trail[i].r;
+    state.events.emit("babyMoved", babyRabbit);
+  }
+}
+
+// the baby and every baby behind it drop out of the chain and stay where they
+// are, waiting to be picked up again
+export function splitChain(state, babyRabbit) {
+  let index = state.chain.indexOf(babyRabbit);
+  if (index == -1) return [];
+
+  let lost = state.chain.splice(index);
+  state.trail.length = Math.min(state.trail.length, state.chain.length);
+  for (let other of lost) other.united = false;
+
+  state.events.emit("chainSplit", { babyRabbit, lost });
+  return lost;
+}
+
+// the last baby in the chain, the easiest target for a hungry fox
+export function getChainTail(state) {
+  return state.chain[state.chain.length - 1];
+}
@@ -0,0 +1,208 @@
+// fox behaviour. Foxes only know where the rabbit is if they can see it (see
+// vision.js) or hear it hop nearby, so hills, trees and rocks make good cover.
+// A fox is in one of three modes:
+// - "patrol": roams between random spots around its den
+// - "investigate": heads for where it last saw or heard prey and has a look
+//   around when it gets there, going back to patrolling if nothing turns up
+// - "chase": runs at prey it can see, the rabbit or the last baby in its
+//   chain, whichever is closer, biting whatever it lands on
+// Foxes see further and move quicker at night, and see less in fog.
+import { isNight } from './daynight.js';
+import { getChainTail, splitChain } from './followers.js';
+import { directionToAngle, hexDistance, hexEquals, hexesInRange } from './hexgrid.js';
+import { getReachableNeighbors, landOnTile } from './movement.js';
+import { applyPenalty, loseLives } from './scoring.js';
+import { checkTraps, struggle } from './traps.js';
+import { canSee, getFacing } from './vision.js';
+import { getWeatherSight } from './weather.js';
+import { getTile, isWalkable, tileDistance } from './world.js';
+
+// score multipliers applied when something bad happens
+const FOX_BITE_PENALTY = 0.93;
+const BABY_CAUGHT_PENALTY = 0.85;
+
+// how far (in hops) a fox can spot the rabbit or a baby from; foxes hunt
+// better in the dark, and worse in fog (see weather.js)
+const FOX_SIGHT = 6;
+const FOX_NIGHT_SIGHT = 10;
+// how wide a fox's view is, in degrees
+const FOX_CONE = 120;
+// a hop this close is heard whichever way the fox is looking
+export const FOX_HEARING_RADIUS = 2;
+
+// how far from its den a fox patrols, in hops
+const PATROL_RADIUS = 6;
+// ticks a fox spends looking around once it gets where it was investigating
+const SEARCH_TICKS = 4;
+
+// lastSeen is where the fox last saw or heard prey, timer counts down the
+// ticks left looking around there
+export function createFox(id, tile) {
+  return {
+    type: "fox",
+    id,
+    q: tile.q,
+    r: tile.r,
+    home: { q: tile.q, r: tile.r },
+    angle: directionToAngle(id),
+    mode: "patrol",
+    timer: 0,
+  };
+}
+
+// { range, cone } of every fox right now, see canSee in vision.js
+export function getFoxVision(state) {
+  return {
+    range: Math.min(isNight(state) ? FOX_NIGHT_SIGHT : FOX_SIGHT, getWeatherSight(state)),
+    cone: FOX_CONE,
+  };
+}
+
+function setMode(state, fox, mode, timer = 0) {
+  if (fox.mode == mode && fox.timer == timer) return;
+  fox.mode = mode;
+  fox.timer = timer;
+  state.events.emit("foxModeChanged", fox);
+}
+
+// the rabbit hopping is noisy; foxes within earshot that aren't already
+// chasing something come to have a look
+export function alertFoxes(state, hex) {
+  for (let fox of state.foxes) {
+    if (fox.mode == "chase" || hexDistance(fox, hex) > FOX_HEARING_RADIUS) continue;
+    fox.lastSeen = { q: hex.q, r: hex.r };
+    setMode(state, fox, "investigate");
+  }
+}
+
+// every fox takes one step, biting the rabbit or a baby if it lands on the
+// same tile. At night foxes are quicker, taking an extra step every other
+// tick.
+export function updateFoxes(state) {
+  let steps = isNight(state) && state.tick % 2 == 0 ? 2 : 1;
+  for (let fox of state.foxes) {
+    if (struggle(fox)) continue;
+    // a fox that walks into a trap stops there
+    for (let i = 0; i < steps && !(fox.stuckTicks > 0); i++) {
+      lookForPrey(state, fox);
+      stepFox(state, fox);
+    }
+  }
+}
+
+// starts (or keeps up) a chase if the fox can see the rabbit or the last baby
+// in its chain, and starts investigating where it last saw them if it has
+// lost sight of them
+function lookForPrey(state, fox) {
+  let vision = getFoxVision(state);
+  let prey = [state.rabbit, getChainTail(state)]
+    .filter((animal) => animal != undefined && canSee(state.world, fox, animal, vision))
+    .sort((a, b) => hexDistance(fox, a) - hexDistance(fox, b))[0];
+
+  if (prey != undefined) {
+    fox.lastSeen = { q: prey.q, r: prey.r };
+    setMode(state, fox, "chase");
+  } else if (fox.mode == "chase") {
+    setMode(state, fox, "investigate");
+  }
+}
+
+function stepFox(state, fox) {
+  // other animals are in the way
+  let isBlocked = (tile) => state.bears.some((bear) => hexEquals(bear, tile))
+    || state.foxes.some((other) => other != fox && hexEquals(other, tile));
+
+  let next;
+  if (fox.mode == "chase") {
+    next = state.pathfinder.nextStep(fox, fox.lastSeen, isBlocked);
+    // no path at all, e.g. the rabbit is up a cliff: get as close as possible
+    if (next == undefined) next = getClosestAdjacentTile(state, fox, fox.lastSeen, isBlocked);
+  } else if (fox.mode == "investigate") {
+    next = hexEquals(fox, fox.lastSeen) ? undefined : state.pathfinder.nextStep(fox, fox.lastSeen, isBlocked);
+    if (next == undefined) {
+      search(state, fox);
+      return;
+    }
+  } else {
+    next = patrol(state, fox, isBlocked);
+  }
+  if (next != undefined) moveFox(state, fox, next);
+}
+
+// looks around where the fox was investigating, turning a little every tick,
+// and gives up after a while
+function search(state, fox) {
+  if (fox.timer == 0) {
+    setMode(state, fox, "investigate", SEARCH_TICKS);
+  } else if (fox.timer == 1) {
+    setMode(state, fox, "patrol");
+  } else {
+    fox.timer--;
+  }
+  fox.angle = (fox.angle + 60) % 360;
+  state.events.emit("foxTurned", fox);
+}
+
+// the next step towards the fox's patrol spot, picking a new spot around its
+// den whenever it gets there or can't
+function patrol(state, fox, isBlocked) {
+  if (fox.patrolTarget == undefined || hexEquals(fox, fox.patrolTarget)) {
+    let spots = hexesInRange(fox.home, PATROL_RADIUS)
+      .map((hex) => getTile(state.world, hex.q, hex.r))
+      .filter(isWalkable);
+    let spot = spots[Math.floor(state.random() * spots.length)];
+    fox.patrolTarget = spot == undefined ? undefined : { q: spot.q, r: spot.r };
+  }
+  if (fox.patrolTarget == undefined) return undefined;
+
+  let next = state.pathfinder.nextStep(fox, fox.patrolTarget, isBlocked);
+  if (next == undefined) fox.patrolTarget = undefined;
+  return next;
+}
+
+// finds the neighbouring tile closest in straight line distance to target.
+// Only used when there is no path to it at all.
+function getClosestAdjacentTile(state, fox, target, isBlocked) {
+  let targetTile = getTile(state.world, target.q, target.r);
+  let minDistance = Infinity;
+  let closestTile;
+
+  for (let tile of getReachableNeighbors(state.world, getTile(state.world, fox.q, fox.r))) {
+    if (isBlocked(tile)) continue;
+    if (tileDistance(tile, targetTile) < minDistance) {
+      closestTile = tile;
+      minDistance = tileDistance(tile, targetTile);
+    }
+  }
+  return closestTile;
+}
+
+function moveFox(state, fox, tile) {
+  let foxTile = getTile(state.world, fox.q, fox.r);
+  fox.angle = getFacing(fox, tile);
+  fox.q = tile.q;
+  fox.r = tile.r;
+  state.events.emit("foxMoved", fox);
+  landOnTile(state, fox, foxTile, tile);
+  checkTraps(state, fox);
+
+  if (hexEquals(fox, state.rabbit)) {
+    state.events.emit("rabbitBitten", fox);
+    loseLives(state, 1);
+    applyPenalty(state, FOX_BITE_PENALTY);
+  }
+  // check if contact with any of the babyRabbits. A baby in the chain is
+  // knocked loose (taking the babies behind it along); a baby still on its
+  // own gets eaten.
+  for (let babyRabbit of state.babyRabbits) {
+    if (babyRabbit.caught || !hexEquals(babyRabbit, fox)) continue;
+    if (babyRabbit.united) {
+      splitChain(state, babyRabbit);
+    } else {
+      babyRabbit.caught = true;
+      state.lastBabyLost = "babyCaught";
+      state.events.emit("babyCaught", babyRabbit);
+    }
+    applyPenalty(state, BABY_CAUGHT_PENALTY);
+  }
+}
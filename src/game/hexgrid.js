@@ -0,0 +1,153 @@
+// hex grid maths in axial coordinates (q, r), with cube coordinates
+// (q, r, s = -q - r) where the algorithms need them. Rows (r) run along world
+// z and every row is shifted half a hex relative to the one before it, so
+// there are no odd/even row special cases anywhere.
+// see https://www.redblobgames.com/grids/hexagons/ for the background.
+
+// spacing between hex centres in world units, hexes are laid edge to edge
+export const HEX_WIDTH = 1.77;
+export const HEX_ROW_HEIGHT = 1.535;
+
+// the six neighbour directions, counter clockwise starting at +x. Direction i
+// points at an angle of 60 * i degrees, which is also how the rabbit's facing
+// angle is stored.
+export const DIRECTIONS = [
+  { q: 1, r: 0 },
+  { q: 1, r: -1 },
+  { q: 0, r: -1 },
+  { q: -1, r: 0 },
+  { q: -1, r: 1 },
+  { q: 0, r: 1 },
+];
+
+export function mod(n, m) {
+  return ((n % m) + m) % m;
+}
+
+// map key for a hex; unlike the old 10000 * x + y packing this works for any
+// pair of integers, negative ones included
+export function hexKey(q, r) {
+  return q + "," + r;
+}
+
+export function hexEquals(a, b) {
+  return a.q == b.q && a.r == b.r;
+}
+
+export function hexAdd(a, b) {
+  return { q: a.q + b.q, r: a.r + b.r };
+}
+
+export function hexScale(a, k) {
+  return { q: a.q * k, r: a.r * k };
+}
+
+export function hexToCube(hex) {
+  return { q: hex.q, r: hex.r, s: -hex.q - hex.r };
+}
+
+// rounds fractional cube coordinates to the hex that contains them
+export function cubeRound(cube) {
+  let q = Math.round(cube.q);
+  let r = Math.round(cube.r);
+  let s = Math.round(cube.s);
+
+  let dq = Math.abs(q - cube.q);
+  let dr = Math.abs(r - cube.r);
+  let ds = Math.abs(s - cube.s);
+
+  if (dq > dr && dq > ds) {
+    q = -r - s;
+  } else if (dr > ds) {
+    r = -q - s;
+  }
+  return { q: q + 0, r: r + 0 };
+}
+
+// direction index (0 - 5) for a facing angle in degrees
+export function angleToDirection(angle) {
+  return mod(Math.round(angle / 60), 6);
+}
+
+export function directionToAngle(direction) {
+  return mod(direction, 6) * 60;
+}
+
+export function hexNeighbor(hex, direction) {
+  return hexAdd(hex, DIRECTIONS[mod(direction, 6)]);
+}
+
+export function hexNeighbors(hex) {
+  return DIRECTIONS.map((direction) => hexAdd(hex, direction));
+}
+
+// number of hops between two hexes
+export function hexDistance(a, b) {
+  let dq = a.q - b.q;
+  let dr = a.r - b.r;
+  return (Math.abs(dq) + Math.abs(dr) + Math.abs(dq + dr)) / 2;
+}
+
+// all hexes exactly radius hops away from center
+export function hexRing(center, radius) {
+  if (radius == 0) return [{ q: center.q, r: center.r }];
+
+  let results = [];
+  let hex = hexAdd(center, hexScale(DIRECTIONS[4], radius));
+  for (let i = 0; i < 6; i++) {
+    for (let j = 0; j < radius; j++) {
+      results.push(hex);
+      hex = hexNeighbor(hex, i);
+    }
+  }
+  return results;
+}
+
+// all hexes at most radius hops away from center, nearest first
+export function hexesInRange(center, radius) {
+  let results = [];
+  for (let k = 0; k <= radius; k++) results.push(...hexRing(center, k));
+  return results;
+}
+
+// the hexes a straight line from a to b passes through, both ends included
+export function hexLine(a, b) {
+  let n = hexDistance(a, b);
+  let ac = hexToCube(a);
+  let bc = hexToCube(b);
+
+  // nudging the start point keeps lines that run exactly along hex edges from
+  // flipping between the two sides
+  let results = [];
+  for (let i = 0; i <= n; i++) {
+    let t = n == 0 ? 0 : i / n;
+    results.push(cubeRound({
+      q: ac.q + 1e-6 + (bc.q - ac.q) * t,
+      r: ac.r + 1e-6 + (bc.r - ac.r) * t,
+      s: ac.s - 2e-6 + (bc.s - ac.s) * t,
+    }));
+  }
+  return results;
+}
+
+// centre of a hex in world units. y of the result is world z.
+export function hexToPosition(q, r) {
+  return { x: (q + r / 2) * HEX_WIDTH, z: r * HEX_ROW_HEIGHT };
+}
+
+// the hex containing a world position (x, z)
+export function positionToHex(x, z) {
+  let r = z / HEX_ROW_HEIGHT;
+  let q = x / HEX_WIDTH - r / 2;
+  return cubeRound({ q, r, s: -q - r });
+}
+
+// converts to "odd-r" offset (column, row) coordinates, which is how the map
+// used to be indexed and what the terrain noise is sampled with
+export function axialToOffset(q, r) {
+  return { col: q + (r - mod(r, 2)) / 2, row: r };
+}
+
+export function offsetToAxial(col, row) {
+  return { q: col - (row - mod(row, 2)) / 2, r: row };
+}
@@ -0,0 +1,234 @@
+// authored levels. A level is stored as plain JSON and has
+// - a world: either every tile's height and decoration, or the settings to
+//   generate one from noise ({ length, maxHeight, waterHeight } under
+//   "generate"). The terrain band and water of every tile follow from its
+//   height, so they aren't stored.
+// - where everything starts: either spawn points for the rabbit, the burrow,
+//   the babies, foxes, bears and optionally traps, or just how many of each
+//   to place at random (under "counts", as in the settings)
+// - optionally a seed for anything rolled at random, a goal (see
+//   checkGameOver), a par time in seconds and the lives and score to start
+//   with
+// Levels are built in the level editor or written by hand, like the campaign.
+import { hexEquals, hexKey, hexToPosition } from './hexgrid.js';
+import { TRAP_TYPES } from './traps.js';
+import { createGameState, createLevelGameState } from './state.js';
+import {
+  generateWorld,
+  getDecorationTypes,
+  getTile,
+  isWalkable,
+  setTileDecoration,
+  setTileHeight
+} from './world.js';
+
+// version 2 added generated worlds, counts, seeds, goals, par times, lives
+// and score; version 1 files are still valid version 2 files
+export const LEVEL_VERSION = 2;
+
+// what can be placed as a spawn point, and the key of spawns it goes under.
+// The rabbit and the burrow are single points, the rest are lists.
+export const SPAWN_TYPES = {
+  rabbit: "rabbit",
+  burrow: "burrow",
+  babyRabbit: "babyRabbits",
+  fox: "foxes",
+  bear: "bears",
+};
+
+// where everything in a game starts out, e.g. for turning a generated world
+// into a level to edit
+export function getSpawnsFromGame(game) {
+  let hex = (entity) => ({ q: entity.q, r: entity.r });
+  return {
+    rabbit: hex(game.rabbit),
+    burrow: hex(game.burrow),
+    babyRabbits: game.babyRabbits.map(hex),
+    foxes: game.foxes.map(hex),
+    bears: game.bears.map((bear) => hex(bear.home)),
+    traps: game.traps.map((trap) => ({ kind: trap.kind, q: trap.q, r: trap.r })),
+  };
+}
+
+// places a spawn point of the given type (see SPAWN_TYPES) on hex. The rabbit
+// and burrow move there; anything else is added unless the tile already has
+// a spawn point. Traps on the tile are cleared.
+export function setSpawn(spawns, type, hex) {
+  let key = SPAWN_TYPES[type];
+  let point = { q: hex.q, r: hex.r };
+  if (key == "rabbit" || key == "burrow") {
+    spawns[key] = point;
+    return;
+  }
+  if (getSpawnsAt(spawns, hex).some((spawn) => spawn.type != "burrow")) return;
+  spawns.traps = spawns.traps.filter((trap) => !hexEquals(trap, hex));
+  spawns[key].push(point);
+}
+
+// clears every spawn point and trap on hex except the rabbit's and the
+// burrow's, which always have to be somewhere
+export function removeSpawns(spawns, hex) {
+  for (let key of ["babyRabbits", "foxes", "bears", "traps"]) {
+    spawns[key] = spawns[key].filter((point) => !hexEquals(point, hex));
+  }
+}
+
+// the spawn points on hex as [{ type, q, r }]
+export function getSpawnsAt(spawns, hex) {
+  return listSpawns(spawns).filter((spawn) => hexEquals(spawn, hex));
+}
+
+// every spawn point as [{ type, q, r }], with type a key of SPAWN_TYPES
+export function listSpawns(spawns) {
+  let list = [];
+  for (let [type, key] of Object.entries(SPAWN_TYPES)) {
+    let points = key == "rabbit" || key == "burrow" ? [spawns[key]] : spawns[key];
+    for (let point of points) list.push({ type, q: point.q, r: point.r });
+  }
+  return list;
+}
+
+// reasons the level can't be played yet, if any
+export function validateLevel(world, spawns) {
+  let errors = [];
+  if (spawns.babyRabbits.length == 0) errors.push("Place at least one baby rabbit");
+
+  let taken = new Set();
+  for (let spawn of listSpawns(spawns)) {
+    let tile = getTile(world, spawn.q, spawn.r);
+    if (spawn.type != "burrow" && !isWalkable(tile)) {
+      errors.push("A " + spawn.type + " starts on water, an obstacle or off the map");
+    }
+    // the burrow is where the rabbit starts in most levels
+    if (spawn.type == "burrow") continue;
+    let key = hexKey(spawn.q, spawn.r);
+    if (taken.has(key)) errors.push("Two animals start on the same tile");
+    taken.add(key);
+  }
+  if (!isWalkable(getTile(world, spawns.burrow.q, spawns.burrow.r))) {
+    errors.push("The burrow has to be on dry open ground");
+  }
+  return errors;
+}
+
+// turns a world and its spawn points into a level file. info is { name,
+// goal, parTime }.
+export function serializeLevel(world, spawns, { name, goal, parTime }) {
+  return {
+    version: LEVEL_VERSION,
+    name,
+    goal,
+    parTime,
+    length: world.length,
+    maxHeight: world.maxHeight,
+    waterHeight: world.waterHeight,
+    maxDistance: world.maxDistance,
+    // [q, r, height, decoration]
+    tiles: [...world.tiles.values()].map((tile) => [tile.q, tile.r, tile.height, tile.decoration]),
+    spawns: JSON.parse(JSON.stringify(spawns)),
+  };
+}
+
+// reads a level file back into { world, spawns, counts, goal, parTime, lives,
+// score, name }, with either spawns or counts set. Generated worlds roll
+// from random and the noise createNoise(random) returns, so the same random
+// stream builds the same world. Throws if it isn't a level or was made by a
+// newer version of the game.
+export function parseLevel(data, random, createNoise) {
+  if (data == null || typeof data != "object"
+    || !(Array.isArray(data.tiles) || data.generate != undefined)
+    || (data.spawns == undefined && data.counts == undefined)) {
+    throw new Error("Not a level");
+  }
+  if (data.version > LEVEL_VERSION) {
+    throw new Error("This level was made by a newer version of the game");
+  }
+
+  let level = {
+    world: data.tiles == undefined ? generateLevelWorld(data.generate, random, createNoise) : readTiles(data),
+    spawns: undefined,
+    counts: undefined,
+    goal: data.goal ?? { type: "home" },
+    parTime: data.parTime,
+    lives: data.lives,
+    score: data.score,
+    name: data.name ?? "Untitled",
+  };
+  if (data.spawns != undefined) {
+    level.spawns = {
+      rabbit: data.spawns.rabbit ?? { q: 0, r: 0 },
+      burrow: data.spawns.burrow ?? data.spawns.rabbit ?? { q: 0, r: 0 },
+      babyRabbits: data.spawns.babyRabbits ?? [],
+      foxes: data.spawns.foxes ?? [],
+      bears: data.spawns.bears ?? [],
+      traps: (data.spawns.traps ?? []).filter((trap) => TRAP_TYPES[trap.kind] != undefined),
+    };
+  } else {
+    level.counts = { ...data.counts };
+  }
+  return level;
+}
+
+function readTiles(data) {
+  let world = {
+    length: data.length,
+    maxHeight: data.maxHeight,
+    waterHeight: data.waterHeight,
+    maxDistance: data.maxDistance,
+    tiles: new Map(),
+  };
+  let decorationTypes = getDecorationTypes();
+  for (let [q, r, height, decoration] of data.tiles) {
+    let tile = { q, r, position: hexToPosition(q, r), decoration: null, blocked: false };
+    setTileHeight(world, tile, height);
+    setTileDecoration(tile, decorationTypes.includes(decoration) ? decoration : null);
+    world.tiles.set(hexKey(q, r), tile);
+  }
+  return world;
+}
+
+function generateLevelWorld(settings, random, createNoise) {
+  let noise2D = createNoise(random);
+  return generateWorld({
+    length: settings.length,
+    maxHeight: settings.maxHeight,
+    waterHeight: settings.waterHeight,
+    random,
+    noise2D,
+  });
+}
+
+// starts a game on a parsed level, rolling anything left to chance from
+// random. options is { mode, lives, score } as for createGameState; the
+// level's own lives and score take precedence.
+export function createLevelGame(level, random, options) {
+  let settings = {
+    mode: options.mode,
+    lives: level.lives ?? options.lives,
+    score: level.score ?? options.score,
+    goal: level.goal,
+  };
+  if (level.spawns != undefined) return createLevelGameState(level.world, random, level.spawns, settings);
+
+  let counts = level.counts;
+  return createGameState(level.world, random, {
+    ...settings,
+    babyRabbits: counts.babyRabbits ?? 0,
+    foxes: counts.foxes ?? 0,
+    bears: counts.bears ?? 0,
+    traps: {
+      snare: counts.snares ?? 0,
+      pitfall: counts.pitfalls ?? 0,
+      bearTrap: counts.bearTraps ?? 0,
+    },
+  });
+}
+
+// a goal in words, for the hud and the campaign list
+export function describeGoal(goal) {
+  if (goal.type == "rescue") {
+    return "Bring " + goal.count + (goal.count == 1 ? " baby" : " babies") + " home";
+  }
+  if (goal.type == "survive") return "Survive for " + goal.ticks + " ticks";
+  return "Bring every baby home";
+}
@@ -0,0 +1,29 @@
+// fixed timestep loop. The render loop hands it whatever time passed since the
+// last frame and it calls onStep once for every whole step that fits, so the
+// game advances at the same rate (and in the same way) whatever the frame rate.
+
+// frames longer than this many steps (e.g. after the tab was in the background)
+// drop the extra time instead of fast forwarding through it
+const MAX_STEPS_PER_FRAME = 5;
+
+export function createFixedStepLoop(stepSeconds, onStep) {
+  let accumulator = 0;
+
+  function advance(delta) {
+    accumulator += delta;
+
+    let steps = 0;
+    while (accumulator >= stepSeconds && steps < MAX_STEPS_PER_FRAME) {
+      accumulator -= stepSeconds;
+      onStep();
+      steps++;
+    }
+    if (steps == MAX_STEPS_PER_FRAME) accumulator = 0;
+  }
+
+  function reset() {
+    accumulator = 0;
+  }
+
+  return { advance, reset };
+}
@@ -0,0 +1,74 @@
+// movement rules shared by every animal, the rabbit and the AI alike: how high
+// a single hop can climb, how far an animal can drop before it gets hurt,
+// swimming, and obstacles. Heights are in world units, the same as
+// tile.height.
+import { splitChain } from './followers.js';
+import { hexNeighbors } from './hexgrid.js';
+import { loseLives } from './scoring.js';
+import { getTile } from './world.js';
+
+// the highest step up a single hop can make; anything taller is a cliff
+export const MAX_CLIMB = 1;
+// drops up to this high are harmless, anything further is a fall
+export const SAFE_DROP = 2;
+// a fall costs the rabbit this many lives and leaves any animal dazed for
+// FALL_STUN_TICKS ticks
+const FALL_DAMAGE = 1;
+const FALL_STUN_TICKS = 1;
+// swimming is slow: every hop into water costs the animal this many ticks
+// before it can move again
+export const SWIM_TICKS = 1;
+
+// why an animal standing on `from` can't hop onto `to`: "edge" (off the map),
+// "obstacle" (a tree or rock), "flooded" (see weather.js) or "cliff" (too high
+// to climb). undefined if the hop is allowed.
+export function getMoveBlocker(from, to) {
+  if (to == undefined) return "edge";
+  if (to.blocked) return "obstacle";
+  if (to.flooded) return "flooded";
+  if (to.height - from.height > MAX_CLIMB) return "cliff";
+  return undefined;
+}
+
+export function canMove(from, to) {
+  return getMoveBlocker(from, to) == undefined;
+}
+
+// a drop too high to take without getting hurt
+export function isFall(from, to) {
+  return from.height - to.height > SAFE_DROP;
+}
+
+// every neighbouring tile an animal on `from` could hop onto
+export function getReachableNeighbors(world, from) {
+  return hexNeighbors(from)
+    .map((hex) => getTile(world, hex.q, hex.r))
+    .filter((tile) => tile != undefined && canMove(from, tile));
+}
+
+// applies what happens on landing after a hop from one tile to another. The
+// animal should already be standing on `to`. Falls hurt the rabbit and daze
+// anyone; water slows swimmers down and the rabbit's babies can't follow it in,
+// so the whole chain lets go and waits on the shore.
+export function landOnTile(state, animal, from, to) {
+  if (isFall(from, to)) {
+    hold(animal, FALL_STUN_TICKS);
+    state.events.emit("animalFell", { animal, height: from.height - to.height });
+    if (animal.type == "rabbit") loseLives(state, FALL_DAMAGE);
+  }
+
+  if (to.water) {
+    hold(animal, SWIM_TICKS);
+    state.events.emit("animalSwimming", animal);
+    if (animal.type == "rabbit" && state.chain.length > 0) splitChain(state, state.chain[0]);
+  }
+}
+
+// keeps the animal from moving for the given number of ticks, counted down by
+// struggle in traps.js. Predators move during a tick and struggle from the
+// next one on, but the rabbit hops between ticks and the very next tick
+// already counts one down, so it is held for one more.
+export function hold(animal, ticks) {
+  if (animal.type == "rabbit") ticks++;
+  animal.stuckTicks = Math.max(animal.stuckTicks ?? 0, ticks);
+}
@@ -0,0 +1,189 @@
+// A* pathfinding over the hex grid. Used by the foxes (and anything else that
+// needs to get somewhere) so they walk around trees, rocks and cliffs instead
+// of pressing up against them, following the same rules as the rabbit (see
+// movement.js).
+import { hexDistance, hexEquals, hexKey, hexNeighbors } from './hexgrid.js';
+import { canMove, isFall } from './movement.js';
+import { getTile } from './world.js';
+
+// base cost of stepping onto each terrain band
+export const TERRAIN_COSTS = {
+  grass: 1,
+  dirt2: 1,
+  dirt: 1.2,
+  sand: 1.5,
+  stone: 2,
+};
+
+// extra cost per unit of height climbed or dropped in a single step
+const CLIMB_COST = 1;
+const DESCENT_COST = 0.5;
+// swimming is allowed but slow, and falls hurt, so both are avoided unless
+// there is no other way
+const SWIM_COST = 3;
+const FALL_COST = 5;
+
+// cheapest possible step, used to keep the heuristic admissible
+const MIN_STEP_COST = Math.min(...Object.values(TERRAIN_COSTS));
+
+// bounds the work done for unreachable goals on big maps
+const MAX_EXPANDED = 5000;
+
+// cost of moving from one tile to a neighbouring one, Infinity if the target
+// can't be entered at all
+export function movementCost(from, to) {
+  if (!canMove(from, to)) return Infinity;
+
+  let heightDifference = to.height - from.height;
+  let cost = to.water ? SWIM_COST : TERRAIN_COSTS[to.terrain] ?? 1;
+  if (heightDifference > 0) cost += heightDifference * CLIMB_COST;
+  else cost -= heightDifference * DESCENT_COST;
+  if (isFall(from, to)) cost += FALL_COST;
+  return cost;
+}
+
+// finds the cheapest path between two hexes (tiles or anything with q and r).
+// Returns the list of tiles to walk through, excluding start and including
+// goal, or undefined if there is none.
+// isBlocked(tile) lets the caller rule out tiles taken by other animals; the
+// goal itself is never ruled out that way so predators can step onto their
+// prey, but it still has to be reachable under the movement rules.
+export function findPath(world, start, goal, isBlocked = () => false) {
+  if (hexEquals(start, goal)) return [];
+  start = getTile(world, start.q, start.r);
+  if (start == undefined) return undefined;
+
+  let goalKey = hexKey(goal.q, goal.r);
+  let cameFrom = new Map();
+  let costSoFar = new Map([[hexKey(start.q, start.r), 0]]);
+  let frontier = createHeap();
+  frontier.push(start, 0);
+
+  let expanded = 0;
+  while (frontier.size() > 0 && expanded < MAX_EXPANDED) {
+    let current = frontier.pop();
+    let currentKey = hexKey(current.q, current.r);
+    if (currentKey == goalKey) return reconstructPath(cameFrom, current);
+    expanded++;
+
+    for (let hex of hexNeighbors(current)) {
+      let next = getTile(world, hex.q, hex.r);
+      if (next == undefined) continue;
+
+      let nextKey = hexKey(next.q, next.r);
+      let isGoal = nextKey == goalKey;
+      if (!isGoal && isBlocked(next)) continue;
+
+      let stepCost = movementCost(current, next);
+      if (stepCost == Infinity) continue;
+
+      let newCost = costSoFar.get(currentKey) + stepCost;
+      if (costSoFar.has(nextKey) && newCost >= costSoFar.get(nextKey)) continue;
+
+      costSoFar.set(nextKey, newCost);
+      cameFrom.set(nextKey, current);
+      frontier.push(next, newCost + hexDistance(next, goal) * MIN_STEP_COST);
+    }
+  }
+  return undefined;
+}
+
+function reconstructPath(cameFrom, end) {
+  let path = [];
+  let current = end;
+  while (cameFrom.has(hexKey(current.q, current.r))) {
+    path.push(current);
+    current = cameFrom.get(hexKey(current.q, current.r));
+  }
+  return path.reverse();
+}
+
+// wraps findPath with a per-agent cache, so an agent chasing a goal that
+// hasn't moved keeps walking the path it already has instead of searching
+// again every tick. Call invalidate() whenever the terrain changes.
+export function createPathfinder(world) {
+  let cache = new WeakMap();
+
+  // the next tile agent should step onto on its way to goal, or undefined if
+  // the goal can't be reached
+  function nextStep(agent, goal, isBlocked = () => false) {
+    let cached = cache.get(agent);
+    let path;
+
+    if (cached != undefined && hexEquals(cached.goal, goal) && isStillOnPath(agent, cached)) {
+      path = cached.path;
+    }
+
+    // recompute when the goal moved, the agent was pushed off its path or an
+    // animal now stands on the next tile
+    if (path == undefined || (path.length > 1 && isBlocked(path[0]))) {
+      path = findPath(world, agent, goal, isBlocked);
+      if (path == undefined) {
+        cache.delete(agent);
+        return undefined;
+      }
+    }
+
+    cache.set(agent, { goal: { q: goal.q, r: goal.r }, path, from: { q: agent.q, r: agent.r } });
+    return path[0];
+  }
+
+  // the cached path starts at the tile the agent stood on when it was cached.
+  // If the agent has since taken the first step, drop it from the path.
+  function isStillOnPath(agent, cached) {
+    if (hexEquals(agent, cached.from)) return true;
+    if (cached.path.length > 0 && hexEquals(agent, cached.path[0])) {
+      cached.path = cached.path.slice(1);
+      return cached.path.length > 0;
+    }
+    return false;
+  }
+
+  function forget(agent) {
+    cache.delete(agent);
+  }
+
+  function invalidate() {
+    cache = new WeakMap();
+  }
+
+  return { nextStep, forget, invalidate };
+}
+
+// binary min-heap keyed by priority, just enough for A*'s open set
+function createHeap() {
+  let items = [];
+
+  function push(value, priority) {
+    items.push({ value, priority });
+    let i = items.length - 1;
+    while (i > 0) {
+      let parent = (i - 1) >> 1;
+      if (items[parent].priority <= items[i].priority) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  function pop() {
+    let top = items[0];
+    let last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      while (true) {
+        let left = 2 * i + 1;
+        let right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+        if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+        if (smallest == i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top.value;
+  }
+
+  return { push, pop, size: () => items.length };
+}
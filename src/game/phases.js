@@ -0,0 +1,47 @@
+// the phases a game session moves through, from the loading screen to the
+// end screens, and which moves between them are allowed. Kept separate from
+// the rules in state.js so the same rules can run without any menus at all.
+import { createEmitter } from './events.js';
+
+export const TRANSITIONS = {
+  // loaded saves start out paused
+  loading: ["title", "playing", "paused", "replaying", "editing"],
+  title: ["loading", "playing"],
+  playing: ["paused", "won", "lost", "loading"],
+  paused: ["playing", "loading", "title"],
+  won: ["loading", "title"],
+  lost: ["loading", "title"],
+  // watching a recorded run; leaving rebuilds the world for a fresh game
+  replaying: ["loading"],
+  // in the level editor; leaving it (or playing the level) rebuilds the world
+  editing: ["loading"],
+};
+
+export function createPhaseMachine(initial = "loading") {
+  let phase = initial;
+  let events = createEmitter();
+
+  function can(next) {
+    return TRANSITIONS[phase].includes(next);
+  }
+
+  // moves to the next phase, announcing it as "phaseChanged" with the
+  // previous phase and any details (e.g. why the game was lost)
+  function transition(next, details = {}) {
+    if (!can(next)) {
+      throw new Error("Can't go from " + phase + " to " + next);
+    }
+    let previous = phase;
+    phase = next;
+    events.emit("phaseChanged", { phase, previous, details });
+  }
+
+  return {
+    events,
+    can,
+    transition,
+    get phase() {
+      return phase;
+    },
+  };
+}
@@ -0,0 +1,101 @@
+// input recording and replay. The game rules are deterministic once the world
+// is built, so a run is fully described by the seed and settings it was played
+// with plus every player action and the tick it happened on. Replaying feeds
+// those actions back into a freshly built game at the same ticks.
+//
+// In real time mode the clock-driven score drain is replayed one tick at a
+// time, so a replayed score can be off from the original by the fraction of a
+// second between a tick and a frame.
+import { updateScore } from './scoring.js';
+import { playerAction, tickGame } from './state.js';
+
+// recordings only play back under the rules they were made with, so this
+// goes up whenever the rules change:
+// - 2: the day/night cycle, with foxes quicker and sharper eyed at night and
+//   bears asleep by day
+// - 3: rain, storms, fog and flooding
+// - 4: predator vision, foxes patrolling and investigating
+// - 5: foxes and bears no longer start right next to the rabbit or a baby
+// - 6: traps hold the rabbit for their full time
+export const REPLAY_VERSION = 6;
+
+// records every action taken in game. session is { seed, config, tickSeconds,
+// level }: what's needed to build the same game again (level being the level
+// file, for games on a hand made level) and how long a tick lasted.
+export function createRecorder(game, session) {
+  let inputs = [];
+
+  // call this for every action the player takes, before handing it to the
+  // game, so it is stamped with the tick it happened on
+  function record(action) {
+    inputs.push([game.tick, action]);
+  }
+
+  // the recording so far, as plain JSON
+  function toJSON() {
+    return {
+      version: REPLAY_VERSION,
+      seed: session.seed,
+      config: session.config,
+      tickSeconds: session.tickSeconds,
+      level: session.level,
+      mode: game.mode,
+      // how many ticks the run lasted, so a real time replay keeps going
+      // after the last input, e.g. until the fox catches up
+      ticks: game.tick,
+      status: game.status,
+      inputs: inputs.map((input) => [...input]),
+    };
+  }
+
+  return { record, toJSON };
+}
+
+// plays a recording back on game, which must be freshly built from the
+// recording's seed and settings. step() advances one tick, applying whatever
+// the player did during it first.
+export function createReplay(recording, game) {
+  if (!isReplay(recording)) throw new Error("Not a replay this version of the game can play");
+  game.mode = recording.mode;
+  let next = 0;
+
+  function step() {
+    if (isFinished()) return;
+
+    let tick = game.tick;
+    while (next < recording.inputs.length && recording.inputs[next][0] == tick) {
+      playerAction(game, recording.inputs[next][1]);
+      next++;
+    }
+    // turn based games tick inside playerAction
+    if (game.mode == "realtime" && game.status == "playing") {
+      updateScore(game, (tick + 1) * recording.tickSeconds);
+      tickGame(game);
+    }
+  }
+
+  function isFinished() {
+    if (game.status != "playing") return true;
+    if (game.mode == "turnBased") return next >= recording.inputs.length;
+    return game.tick >= recording.ticks;
+  }
+
+  return {
+    step,
+    isFinished,
+    get tick() {
+      return game.tick;
+    },
+    get ticks() {
+      return recording.ticks;
+    },
+  };
+}
+
+// whether data (parsed from JSON) is a recording this version can play back
+export function isReplay(data) {
+  return data?.version == REPLAY_VERSION
+    && Array.isArray(data.inputs)
+    && data.seed != undefined
+    && data.config != undefined;
+}
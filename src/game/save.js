@@ -0,0 +1,147 @@
+// saved games. A save is plain JSON holding everything needed to put a session
+// back exactly as it was: the seed and settings it was made with, every tile
+// (so worlds that no longer match their seed still load), every animal and
+// trap, lives, score, the time played and how far the game's random generator
+// had got. Every save carries a version number; older versions are migrated
+// forward on load.
+import { DAY_START } from './daynight.js';
+import { createFox } from './foxes.js';
+import { directionToAngle, hexKey, hexToPosition } from './hexgrid.js';
+import { restoreGameState } from './state.js';
+import { createWeather } from './weather.js';
+import { createRandom } from '../random.js';
+
+export const SAVE_VERSION = 6;
+
+// upgrades a save of version n to version n + 1; add an entry here whenever
+// the format changes. Older games get what a new game would have started
+// with.
+const MIGRATIONS = {
+  // 2: games have a goal (see checkGameOver), always the default one before
+  1: (save) => migrateGame(save, (game) => ({ ...game, goal: { type: "home" } })),
+  // 3: the time of day the game started at (see daynight.js)
+  2: (save) => migrateGame(save, (game) => ({ ...game, dayStart: DAY_START })),
+  // 4: the weather and how high the water has risen (see weather.js)
+  3: (save) => migrateGame(save, (game) => ({ ...game, weather: createWeather() })),
+  // 5: foxes have a den, a facing and a mode (see foxes.js), bears a facing
+  4: (save) => migrateGame(save, (game) => ({
+    ...game,
+    foxes: game.foxes.map((fox) => ({ ...createFox(fox.id, fox), ...fox })),
+    bears: game.bears.map((bear) => ({ ...bear, angle: directionToAngle(bear.id) })),
+  })),
+  // 6: where the game's random generator had got to. Older saves restarted
+  // it from the seed, so they carry on doing that.
+  5: (save) => migrateGame(save, (game) => ({ ...game, randomState: save.seed })),
+};
+
+function migrateGame(save, migrate) {
+  return { ...save, version: save.version + 1, game: migrate(save.game) };
+}
+
+// turns a running game into a save. session is { seed, config, elapsedTime },
+// the parts of a session that live outside the game state.
+export function serializeGame(game, session) {
+  let world = game.world;
+  return {
+    version: SAVE_VERSION,
+    savedAt: new Date().toISOString(),
+    seed: session.seed,
+    config: session.config,
+    elapsedTime: session.elapsedTime,
+    world: {
+      length: world.length,
+      maxHeight: world.maxHeight,
+      waterHeight: world.waterHeight,
+      maxDistance: world.maxDistance,
+      // [q, r, height, terrain, water, decoration, blocked], kept as arrays
+      // since there are thousands of them
+      tiles: [...world.tiles.values()].map((tile) => [
+        tile.q,
+        tile.r,
+        tile.height,
+        tile.terrain,
+        tile.water ? 1 : 0,
+        tile.decoration,
+        tile.blocked ? 1 : 0,
+      ]),
+    },
+    game: {
+      mode: game.mode,
+      status: game.status,
+      tick: game.tick,
+      rabbit: { ...game.rabbit },
+      burrow: { ...game.burrow },
+      babyRabbits: game.babyRabbits.map((babyRabbit) => ({ ...babyRabbit })),
+      // babies are stored once; the chain only refers to them by id
+      chain: game.chain.map((babyRabbit) => babyRabbit.id),
+      trail: game.trail.map((hex) => ({ ...hex })),
+      foxes: game.foxes.map((fox) => structuredClone(fox)),
+      bears: game.bears.map((bear) => ({ ...bear, home: { ...bear.home } })),
+      traps: game.traps.map((trap) => ({ ...trap })),
+      lives: game.lives,
+      score: game.score,
+      timeScore: game.timeScore,
+      goal: { ...game.goal },
+      dayStart: game.dayStart,
+      weather: { ...game.weather },
+      // so weather rolls and fox patrols carry on as they would have
+      randomState: game.random.getState(),
+    },
+  };
+}
+
+// rebuilds a game from a save (already parsed from JSON), its random
+// generator picking up where it left off. Returns { game, seed, config,
+// elapsedTime }. Throws if the save is broken or was made by a newer version
+// of the game.
+export function deserializeGame(data) {
+  let save = migrateSave(data);
+
+  let world = {
+    length: save.world.length,
+    maxHeight: save.world.maxHeight,
+    waterHeight: save.world.waterHeight,
+    maxDistance: save.world.maxDistance,
+    tiles: new Map(),
+  };
+  for (let [q, r, height, terrain, water, decoration, blocked] of save.world.tiles) {
+    world.tiles.set(hexKey(q, r), {
+      q,
+      r,
+      position: hexToPosition(q, r),
+      height,
+      terrain,
+      water: water == 1,
+      decoration,
+      blocked: blocked == 1,
+    });
+  }
+
+  return {
+    game: restoreGameState(world, createRandom(save.game.randomState), save.game),
+    seed: save.seed,
+    config: save.config,
+    elapsedTime: save.elapsedTime,
+  };
+}
+
+// brings a save of any older version up to SAVE_VERSION
+export function migrateSave(data) {
+  if (data == null || typeof data != "object" || !Number.isInteger(data.version)) {
+    throw new Error("Not a saved game");
+  }
+  if (data.version > SAVE_VERSION) {
+    throw new Error("This save was made by a newer version of the game");
+  }
+
+  let save = data;
+  while (save.version < SAVE_VERSION) {
+    let migrate = MIGRATIONS[save.version];
+    if (migrate == undefined) throw new Error("Can't read saves of version " + save.version);
+    save = migrate(save);
+  }
+  if (save.world?.tiles == undefined || save.game?.rabbit == undefined) {
+    throw new Error("This save is incomplete");
+  }
+  return save;
+}
@@ -0,0 +1,40 @@
+// lives and score. Every change goes through here so listeners on
+// state.events always hear about it.
+
+export const STARTING_LIVES = 10;
+export const STARTING_SCORE = 3 * 3600;
+
+// the score drains by one point per second of play. elapsedSeconds is the
+// total time since the game started.
+export function updateScore(state, elapsedSeconds) {
+  let timePassed = Math.round(elapsedSeconds);
+  if (timePassed == state.timeScore) return;
+
+  let score = state.score + state.timeScore - timePassed;
+  state.timeScore = timePassed;
+  setScore(state, score);
+}
+
+// in turn based mode the clock doesn't matter, every turn costs a point instead
+export function scoreTurn(state) {
+  setScore(state, state.score - 1);
+}
+
+export function loseLives(state, amount) {
+  setLives(state, Math.max(0, state.lives - amount));
+}
+
+// multiplies the score, e.g. 0.93 takes 7% off
+export function applyPenalty(state, multiplier) {
+  setScore(state, Math.round(state.score * multiplier));
+}
+
+export function setLives(state, lives) {
+  state.lives = lives;
+  state.events.emit("livesChanged", lives);
+}
+
+export function setScore(state, score) {
+  state.score = score;
+  state.events.emit("scoreChanged", score);
+}
@@ -0,0 +1,288 @@
+// headless game state: the rabbit, its babies, the predators, lives and score,
+// and the rules that move them. Nothing here touches the DOM or three.js; every
+// change is announced through state.events so the renderer (or a test) can
+// follow along.
+import { alertBears, checkBearContact, createBear, updateBears } from './bears.js';
+import { DAY_START } from './daynight.js';
+import { createEmitter } from './events.js';
+import { advanceChain, joinChain } from './followers.js';
+import { alertFoxes, createFox, updateFoxes } from './foxes.js';
+import {
+  angleToDirection,
+  hexDistance,
+  hexEquals,
+  hexKey,
+  hexNeighbor,
+  mod
+} from './hexgrid.js';
+import { getMoveBlocker, landOnTile } from './movement.js';
+import { createPathfinder } from './pathfinding.js';
+import { checkTraps, createTrap, placeTraps, struggle } from './traps.js';
+import { createWeather, floodTiles, isStorming, updateWeather } from './weather.js';
+import {
+  STARTING_LIVES,
+  STARTING_SCORE,
+  scoreTurn
+} from './scoring.js';
+import {
+  getRandomValidTile,
+  getSpawnTiles,
+  getTile
+} from './world.js';
+
+// foxes and bears never start within this many hops of the rabbit or a baby,
+// so nobody gets eaten before the player has had a chance to move
+export const PREDATOR_SPAWN_DISTANCE = 5;
+
+// creates a new game on the given world and places every animal and trap on
+// it. options is { babyRabbits, foxes, bears, traps, mode, lives, score, goal,
+// dayStart }: how many of each animal, how many traps of each kind (see
+// traps.js), whether the game is "realtime" (the default) or "turnBased", what
+// the player starts with, what it takes to win (see checkGameOver) and the
+// time of day it starts at (see daynight.js). Animals that don't fit on the
+// map, or can't be kept far enough from their prey, are left out.
+export function createGameState(world, random, options) {
+  let state = createBaseState(world, random, options);
+
+  // the rabbit always starts in the middle, nothing else may spawn there
+  let spawnTiles = getSpawnTiles(world);
+  let reserved = new Set([hexKey(0, 0)]);
+
+  for (let i = 0; i < options.babyRabbits; i++) {
+    let tile = getRandomValidTile(spawnTiles, random, reserved);
+    if (tile == undefined) break;
+    state.babyRabbits.push({ type: "babyRabbit", id: i, q: tile.q, r: tile.r, united: false, caught: false });
+  }
+  let prey = [state.rabbit, ...state.babyRabbits];
+  let isFarEnough = (tile) => prey.every((animal) => hexDistance(animal, tile) >= PREDATOR_SPAWN_DISTANCE);
+  for (let i = 0; i < options.bears; i++) {
+    let tile = getRandomValidTile(spawnTiles, random, reserved, isFarEnough);
+    if (tile == undefined) break;
+    state.bears.push(createBear(i, tile, random));
+  }
+  for (let i = 0; i < options.foxes; i++) {
+    let tile = getRandomValidTile(spawnTiles, random, reserved, isFarEnough);
+    if (tile == undefined) break;
+    state.foxes.push(createFox(i, tile));
+  }
+  state.traps = placeTraps(state, options.traps ?? {}, reserved);
+
+  return state;
+}
+
+// creates a new game on a hand made level (see level.js) with everything
+// starting where the level says. options is { mode, lives, score, goal,
+// dayStart } as for createGameState.
+export function createLevelGameState(world, random, spawns, options = {}) {
+  let state = createBaseState(world, random, options);
+  state.rabbit.q = spawns.rabbit.q;
+  state.rabbit.r = spawns.rabbit.r;
+  state.burrow = { q: spawns.burrow.q, r: spawns.burrow.r };
+
+  state.babyRabbits = spawns.babyRabbits.map((hex, i) => (
+    { type: "babyRabbit", id: i, q: hex.q, r: hex.r, united: false, caught: false }
+  ));
+  state.bears = spawns.bears.map((hex, i) => createBear(i, hex, random));
+  state.foxes = spawns.foxes.map((hex, i) => createFox(i, hex));
+  state.traps = spawns.traps.map((trap, i) => createTrap(i, trap.kind, trap));
+  return state;
+}
+
+// puts a game back the way it was from the plain data in a save (see
+// save.js) instead of placing everything afresh
+export function restoreGameState(world, random, saved) {
+  let state = createBaseState(world, random, saved);
+  state.status = saved.status;
+  state.tick = saved.tick;
+  state.rabbit = { ...saved.rabbit };
+  state.burrow = { ...saved.burrow };
+  state.babyRabbits = saved.babyRabbits.map((babyRabbit) => ({ ...babyRabbit }));
+  state.chain = saved.chain.map((id) => state.babyRabbits.find((babyRabbit) => babyRabbit.id == id));
+  state.trail = saved.trail.map((hex) => ({ ...hex }));
+  state.foxes = saved.foxes.map((fox) => structuredClone(fox));
+  state.bears = saved.bears.map((bear) => ({ ...bear, home: { ...bear.home } }));
+  state.traps = saved.traps.map((trap) => ({ ...trap }));
+  state.timeScore = saved.timeScore;
+  // the flood isn't part of the saved tiles
+  if (state.weather.flood > 0) floodTiles(state);
+  return state;
+}
+
+// everything a game starts with before any animal or trap is placed
+function createBaseState(world, random, options) {
+  return {
+    world,
+    random,
+    events: createEmitter(),
+    pathfinder: createPathfinder(world),
+    // "playing" until the game is won or lost, see checkGameOver
+    status: "playing",
+    // "realtime" ticks on a clock, "turnBased" ticks once per player action
+    mode: options.mode ?? "realtime",
+    // number of ticks played so far
+    tick: 0,
+    rabbit: { type: "rabbit", q: 0, r: 0, angle: 60 },
+    // the family's home; the rabbit starts here and has to bring every baby
+    // back to it
+    burrow: { q: 0, r: 0 },
+    babyRabbits: [],
+    // rescued babies in the order they follow the rabbit, and the tiles the
+    // rabbit hopped off most recent first (see followers.js)
+    chain: [],
+    trail: [],
+    foxes: [],
+    bears: [],
+    traps: [],
+    lives: options.lives ?? STARTING_LIVES,
+    score: options.score ?? STARTING_SCORE,
+    timeScore: 0,
+    // what it takes to win, see checkGameOver
+    goal: options.goal ?? { type: "home" },
+    // time of day at tick 0, see daynight.js
+    dayStart: options.dayStart ?? DAY_START,
+    // rain, storms and fog and how high the water has risen, see weather.js
+    weather: options.weather != undefined ? { ...options.weather } : createWeather(),
+    // how the last baby to go was lost, "babyCaught" (eaten by a fox) or
+    // "babySwept" (by the flood); a game lost on babies is put down to it
+    lastBabyLost: "babyCaught",
+  };
+}
+
+export function getEntityTile(state, entity) {
+  return getTile(state.world, entity.q, entity.r);
+}
+
+// turns the rabbit 60 degrees; direction is 1 for left and -1 for right
+export function turnRabbit(state, direction) {
+  if (state.status != "playing") return;
+  state.rabbit.angle = mod(state.rabbit.angle + 60 * direction, 360);
+  state.events.emit("rabbitTurned", state.rabbit);
+}
+
+// hops the rabbit one tile in the direction it is facing. Returns false if the
+// hop isn't allowed (see movement.js) or the rabbit is caught in a trap or
+// still swimming; a refused hop is announced as "rabbitBlocked" with the
+// reason.
+export function hopRabbit(state) {
+  let rabbit = state.rabbit;
+  if (state.status != "playing") return false;
+  if (rabbit.stuckTicks > 0) {
+    state.events.emit("rabbitStuck", rabbit);
+    return false;
+  }
+
+  let target = hexNeighbor(rabbit, angleToDirection(rabbit.angle));
+  let previousTile = getEntityTile(state, rabbit);
+
+  //   check of the one that you want to go to is a valid tile
+  let tile = getTile(state.world, target.q, target.r);
+  let blocker = getMoveBlocker(previousTile, tile);
+  if (blocker != undefined) {
+    state.events.emit("rabbitBlocked", { rabbit, reason: blocker });
+    return false;
+  }
+
+  rabbit.q = tile.q;
+  rabbit.r = tile.r;
+  state.events.emit("rabbitMoved", rabbit);
+  landOnTile(state, rabbit, previousTile, tile);
+
+  if (!isStorming(state)) {
+    alertBears(state, rabbit);
+    alertFoxes(state, rabbit);
+  }
+  checkBearContact(state);
+  checkTraps(state, rabbit);
+  updateBabyRabbits(state, previousTile);
+  checkGameOver(state);
+  return true;
+}
+
+// what the player can do: "hop", "turnLeft" or "turnRight". In turn based
+// mode every action (including struggling against a trap) is followed by one
+// tick of the game; a hop that isn't allowed (off the edge of the map, into a
+// tree or up a cliff) doesn't use up a turn.
+// Returns true if the action took a turn.
+export function playerAction(state, action) {
+  if (state.status != "playing") return false;
+
+  let acted = true;
+  if (action == "hop") {
+    let wasStuck = state.rabbit.stuckTicks > 0;
+    acted = hopRabbit(state) || wasStuck;
+  } else if (action == "turnLeft") {
+    turnRabbit(state, 1);
+  } else if (action == "turnRight") {
+    turnRabbit(state, -1);
+  } else {
+    return false;
+  }
+
+  if (acted && state.mode == "turnBased") tickGame(state);
+  return acted;
+}
+
+// advances the weather and every predator by one step, foxes first and then
+// bears, always in the same order; trapped animals struggle instead
+export function tickGame(state) {
+  if (state.status != "playing") return;
+  state.tick++;
+  if (state.mode == "turnBased") scoreTurn(state);
+  struggle(state.rabbit);
+  updateWeather(state);
+  updateFoxes(state);
+  updateBears(state);
+  checkGameOver(state);
+}
+
+// the game is lost when the rabbit runs out of lives, and otherwise won or
+// lost depending on state.goal:
+// - "home" (the default): won once every baby is with the rabbit and the
+//   rabbit is back on the burrow, lost as soon as a baby is eaten or swept
+//   away
+// - "rescue": the same, but only goal.count babies have to make it home, so
+//   it is lost only once too many are gone
+// - "survive": won by staying alive for goal.ticks ticks
+// Announces the result as "gameOver" with { status, reason }.
+export function checkGameOver(state) {
+  if (state.status != "playing") return;
+  let goal = state.goal;
+
+  if (state.lives <= 0) {
+    endGame(state, "lost", "lives");
+  } else if (goal.type == "survive") {
+    if (state.tick >= goal.ticks) endGame(state, "won", "survived");
+  } else if (countBabies(state, (babyRabbit) => !babyRabbit.caught) < getBabiesNeeded(state)) {
+    endGame(state, "lost", state.lastBabyLost);
+  } else if (countBabies(state, (babyRabbit) => babyRabbit.united) >= getBabiesNeeded(state)
+    && hexEquals(state.rabbit, state.burrow)) {
+    endGame(state, "won", goal.type == "rescue" ? "rescued" : "home");
+  }
+}
+
+// how many babies have to make it home to win
+export function getBabiesNeeded(state) {
+  let total = state.babyRabbits.length;
+  return state.goal.type == "rescue" ? Math.min(state.goal.count, total) : total;
+}
+
+function countBabies(state, predicate) {
+  return state.babyRabbits.filter(predicate).length;
+}
+
+function endGame(state, status, reason) {
+  state.status = status;
+  state.events.emit("gameOver", { status, reason });
+}
+
+// the chain follows the rabbit's hop, then any baby the rabbit landed on
+// joins it. previousTile is the tile the rabbit just hopped off.
+export function updateBabyRabbits(state, previousTile) {
+  advanceChain(state, previousTile);
+
+  for (let babyRabbit of state.babyRabbits) {
+    if (babyRabbit.caught || babyRabbit.united) continue;
+    // if babyRabbit is on same position as rabbit, it joins the rabbit
+    if (hexEquals(babyRabbit, state.rabbit)) joinChain(state, babyRabbit);
+  }
+}
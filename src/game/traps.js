@@ -0,0 +1,103 @@
+// traps and other hazards. Any animal that walks onto an armed trap springs
+// it: the rabbit gets hurt and held in place, predators get held in place for
+// longer, which is the whole point of luring them in.
+import { hexDistance, hexEquals, hexKey } from './hexgrid.js';
+import { hold } from './movement.js';
+import { isWalkable } from './world.js';
+import { applyPenalty, loseLives, setScore } from './scoring.js';
+
+// terrain lists where each kind of trap may be placed. stuckTicks is how many
+// ticks (or turns) the victim is held; predators are held twice as long.
+export const TRAP_TYPES = {
+  // a wire loop, easy enough to spot but it holds you for a while
+  snare: {
+    terrain: ["grass", "dirt", "dirt2"],
+    hidden: false,
+    damage: 0,
+    penalty: 0.95,
+    stuckTicks: 3,
+  },
+  // a covered hole, invisible among the grass until something falls in
+  pitfall: {
+    terrain: ["grass"],
+    hidden: true,
+    damage: 1,
+    penalty: 0.9,
+    stuckTicks: 2,
+  },
+  // the classic; hurts the most
+  bearTrap: {
+    terrain: ["grass", "dirt", "dirt2", "sand", "stone"],
+    hidden: false,
+    damage: 2,
+    penalty: 0.85,
+    stuckTicks: 2,
+  },
+};
+
+// traps are never placed this close (in hops) to the rabbit's spawn point
+const SAFE_RADIUS = 2;
+// points for every predator the player manages to lure into a trap
+const TRAPPED_PREDATOR_BONUS = 100;
+
+// places counts[kind] traps of every kind on random tiles. Water, obstacles
+// and the tiles in `reserved` (spawn points) are never used.
+export function placeTraps(state, counts, reserved) {
+  let traps = [];
+  for (let kind of Object.keys(TRAP_TYPES)) {
+    let rules = TRAP_TYPES[kind];
+    let candidates = [...state.world.tiles.values()].filter((tile) => isWalkable(tile)
+      && rules.terrain.includes(tile.terrain)
+      && !reserved.has(hexKey(tile.q, tile.r))
+      && hexDistance(tile, { q: 0, r: 0 }) > SAFE_RADIUS);
+
+    for (let i = 0; i < (counts[kind] ?? 0) && candidates.length > 0; i++) {
+      let index = Math.floor(state.random() * candidates.length);
+      let tile = candidates.splice(index, 1)[0];
+      reserved.add(hexKey(tile.q, tile.r));
+      traps.push(createTrap(traps.length, kind, tile));
+    }
+  }
+  return traps;
+}
+
+export function createTrap(id, kind, tile) {
+  return {
+    type: "trap",
+    id,
+    kind,
+    q: tile.q,
+    r: tile.r,
+    hidden: TRAP_TYPES[kind].hidden,
+    triggered: false,
+  };
+}
+
+// springs any armed trap on the tile the animal just moved onto
+export function checkTraps(state, animal) {
+  for (let trap of state.traps) {
+    if (trap.triggered || !hexEquals(trap, animal)) continue;
+
+    let rules = TRAP_TYPES[trap.kind];
+    trap.triggered = true;
+    trap.hidden = false;
+
+    if (animal.type == "rabbit") {
+      hold(animal, rules.stuckTicks);
+      state.events.emit("trapTriggered", { trap, victim: animal });
+      if (rules.damage > 0) loseLives(state, rules.damage);
+      applyPenalty(state, rules.penalty);
+    } else {
+      hold(animal, rules.stuckTicks * 2);
+      state.events.emit("trapTriggered", { trap, victim: animal });
+      setScore(state, state.score + TRAPPED_PREDATOR_BONUS);
+    }
+  }
+}
+
+// true while the animal is still caught; counts the hold down by one tick
+export function struggle(animal) {
+  if (!(animal.stuckTicks > 0)) return false;
+  animal.stuckTicks--;
+  return true;
+}
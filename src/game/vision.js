@@ -0,0 +1,70 @@
+// line of sight over the hex grid. A sight line runs from eye height above
+// one tile to eye height above another and is cut by any tile on the way
+// that is covered by a tree or rock, or whose ground rises above the line.
+// Animals see within a range and a cone around the way they are facing, but
+// always notice anything right next to them.
+import {
+  angleToDirection,
+  directionToAngle,
+  hexDistance,
+  hexLine,
+  hexToPosition,
+  hexesInRange,
+  mod
+} from './hexgrid.js';
+import { getTile } from './world.js';
+
+// how high above the ground eyes are, in world units
+const EYE_HEIGHT = 0.5;
+
+// whether nothing stands between from and to
+export function hasLineOfSight(world, from, to) {
+  let start = getTile(world, from.q, from.r);
+  let end = getTile(world, to.q, to.r);
+  if (start == undefined || end == undefined) return false;
+
+  let line = hexLine(start, end);
+  let startHeight = start.height + EYE_HEIGHT;
+  let endHeight = end.height + EYE_HEIGHT;
+  for (let i = 1; i < line.length - 1; i++) {
+    let tile = getTile(world, line[i].q, line[i].r);
+    if (tile == undefined || tile.blocked) return false;
+    let sightHeight = startHeight + (endHeight - startHeight) * i / (line.length - 1);
+    if (tile.height > sightHeight) return false;
+  }
+  return true;
+}
+
+// the angle in degrees (counter clockwise from +x, like facing angles) of
+// the direction from one hex to another
+export function getAngleBetween(from, to) {
+  let a = hexToPosition(from.q, from.r);
+  let b = hexToPosition(to.q, to.r);
+  return Math.atan2(a.z - b.z, b.x - a.x) * 180 / Math.PI;
+}
+
+// the facing angle (a multiple of 60) closest to looking from one hex at
+// another
+export function getFacing(from, to) {
+  return directionToAngle(angleToDirection(getAngleBetween(from, to)));
+}
+
+// whether viewer ({ q, r, angle }) can see hex. vision is { range, cone }:
+// how many hops away it can see and how wide its view is in degrees.
+export function canSee(world, viewer, hex, vision) {
+  let distance = hexDistance(viewer, hex);
+  if (distance > vision.range) return false;
+  if (distance > 1) {
+    let offCenter = Math.abs(mod(getAngleBetween(viewer, hex) - viewer.angle + 180, 360) - 180);
+    if (offCenter > vision.cone / 2) return false;
+  }
+  return hasLineOfSight(world, viewer, hex);
+}
+
+// every tile within range of hex with a clear line of sight, looking all the
+// way round
+export function getVisibleTiles(world, hex, range) {
+  return hexesInRange(hex, range)
+    .map((other) => getTile(world, other.q, other.r))
+    .filter((tile) => tile != undefined && hasLineOfSight(world, hex, tile));
+}
@@ -0,0 +1,119 @@
+// weather. Spells of clear skies, rain, storms and fog follow one another,
+// rolled from the game's random generator so a replay sees the same weather.
+// Each has its own effect on the game:
+// - rain raises the water, and once it climbs over low sand tiles they flood
+//   and can't be crossed until it drains again. Babies still waiting on a
+//   tile that floods are swept away.
+// - storms raise the water faster, and the thunder drowns out the rabbit's
+//   hops so they don't wake the bears
+// - fog cuts how far the foxes can see
+// - clear skies let the water drain away
+import { getTile, getWaterLevel } from './world.js';
+
+// every kind of weather and how it is shown in the hud
+export const WEATHER_NAMES = { clear: "Clear", rain: "Rain", storm: "Storm", fog: "Fog" };
+
+// shortest and longest spell of each weather, in ticks
+const SPELL_TICKS = {
+  clear: [30, 60],
+  rain: [20, 40],
+  storm: [10, 25],
+  fog: [20, 40],
+};
+// games always start with this many ticks of clear skies
+const FIRST_SPELL_TICKS = 30;
+// what a clear spell turns into, with its chance; everything else clears up
+const AFTER_CLEAR = [["rain", 0.4], ["fog", 0.35], ["storm", 0.25]];
+
+// how far the water rises (or drains) every tick, and the highest it can get
+// above its usual level, all as fractions of the world's max height
+const RISE = { rain: 0.002, storm: 0.005 };
+const DRAIN = 0.0015;
+const MAX_FLOOD = 0.12;
+
+// how far (in hops) anything can see in fog
+const FOG_SIGHT = 3;
+
+// the weather a game starts with. flood is how far (in world units) the water
+// is above its usual level.
+export function createWeather() {
+  return { type: "clear", ticksLeft: FIRST_SPELL_TICKS, flood: 0 };
+}
+
+// advances the weather by one tick, moving on to the next spell when this one
+// runs out and raising or draining the water. Announces a new spell as
+// "weatherChanged" with the weather.
+export function updateWeather(state) {
+  let weather = state.weather;
+  weather.ticksLeft--;
+  if (weather.ticksLeft <= 0) {
+    weather.type = weather.type == "clear" ? rollWeather(state.random) : "clear";
+    let [shortest, longest] = SPELL_TICKS[weather.type];
+    weather.ticksLeft = shortest + Math.floor(state.random() * (longest - shortest + 1));
+    state.events.emit("weatherChanged", weather);
+  }
+
+  let maxHeight = state.world.maxHeight;
+  let flood = weather.flood + (RISE[weather.type] ?? -DRAIN) * maxHeight;
+  flood = Math.min(MAX_FLOOD * maxHeight, Math.max(0, flood));
+  if (flood == weather.flood) return;
+  weather.flood = flood;
+  floodTiles(state);
+}
+
+function rollWeather(random) {
+  let roll = random();
+  for (let [type, chance] of AFTER_CLEAR) {
+    if (roll < chance) return type;
+    roll -= chance;
+  }
+  return AFTER_CLEAR[AFTER_CLEAR.length - 1][0];
+}
+
+// height of the water surface with the flood on top
+export function getFloodLevel(state) {
+  return getWaterLevel(state.world) + state.weather.flood;
+}
+
+// marks every sand tile under the flood as flooded (and every one it has
+// drained off as not), then sweeps away any baby left waiting on a newly
+// flooded tile, announcing each as "babySwept". Announces the change as
+// "floodChanged" with { level, tiles }, tiles being the ones that flooded or
+// drained. Also used to put the flooded tiles back after loading a save.
+export function floodTiles(state) {
+  let level = getFloodLevel(state);
+  let changed = [];
+  for (let tile of state.world.tiles.values()) {
+    let flooded = tile.terrain == "sand" && tile.height <= level;
+    if (flooded == (tile.flooded ?? false)) continue;
+    tile.flooded = flooded;
+    changed.push(tile);
+  }
+  if (changed.length > 0) state.pathfinder.invalidate();
+
+  for (let babyRabbit of state.babyRabbits) {
+    if (babyRabbit.caught || babyRabbit.united) continue;
+    let tile = getTile(state.world, babyRabbit.q, babyRabbit.r);
+    if (!tile.flooded || !changed.includes(tile)) continue;
+    babyRabbit.caught = true;
+    state.lastBabyLost = "babySwept";
+    state.events.emit("babySwept", babyRabbit);
+  }
+  state.events.emit("floodChanged", { level, tiles: changed });
+}
+
+// storms are loud enough to cover the rabbit's hops
+export function isStorming(state) {
+  return state.weather.type == "storm";
+}
+
+// the furthest (in hops) anything can see in the current weather
+export function getWeatherSight(state) {
+  return state.weather.type == "fog" ? FOG_SIGHT : Infinity;
+}
+
+// the weather as shown in the hud, e.g. "Rain, water rising"
+export function describeWeather(weather) {
+  let name = WEATHER_NAMES[weather.type];
+  return RISE[weather.type] != undefined ? name + ", water rising" : name;
+}
@@ -0,0 +1,194 @@
+// the world grid: which tiles exist, how tall they are, what terrain they are
+// and what is standing on them. Nothing in here knows about three.js, the
+// renderer builds its meshes from the tiles this module produces. Tiles are
+// addressed in axial hex coordinates (q, r), see hexgrid.js.
+import {
+  axialToOffset,
+  hexKey,
+  hexNeighbors,
+  hexesInRange,
+  hexToPosition
+} from './hexgrid.js';
+
+// sets thresholds (as a fraction of max height) for the terrain band of a hex
+export const STONE_HEIGHT = 0.8;
+export const DIRT_HEIGHT = 0.65;
+export const GRASS_HEIGHT = 0.35;
+export const DIRT2_HEIGHT = 0;
+
+// decorations that can be rolled on each terrain band. A roll above the given
+// value places that decoration, checked top to bottom. Blocking decorations
+// (trees and rocks) make the tile impassable. Water tiles are never decorated.
+export const DECORATIONS = {
+  stone: [
+    { above: 0.80, type: "rockMoss09", blocking: true },
+  ],
+  dirt: [
+    { above: 0.90, type: "mushroomPurple", blocking: false },
+    { above: 0.80, type: "mushroomOrange", blocking: false },
+  ],
+  grass: [
+    { above: 0.97, type: "birchTree", blocking: true },
+    { above: 0.94, type: "tree", blocking: true },
+    { above: 0.92, type: "hyacinth", blocking: false },
+    { above: 0.82, type: "grass11", blocking: false },
+    { above: 0.81, type: "rockPile", blocking: true },
+    { above: 0.71, type: "grass15", blocking: false },
+  ],
+  sand: [
+    { above: 0.90, type: "rockMoss11", blocking: true },
+  ],
+  dirt2: [],
+};
+
+// generates the whole map. noise2D is any 2D noise function returning values
+// in [-1, 1] (the browser passes simplex noise), random is the seeded world
+// generator from random.js.
+export function generateWorld({ length, maxHeight, waterHeight, random, noise2D }) {
+  let world = {
+    length,
+    maxHeight,
+    waterHeight,
+    maxDistance: Math.floor(0.8 * length),
+    tiles: new Map(),
+  };
+
+  // rows run from -length to length; each row's q range is widened by half
+  // the row count so the circular cut below is never clipped by the loops
+  for (let r = -length; r <= length; r++) {
+    for (let q = -length - Math.ceil(length / 2); q <= length + Math.ceil(length / 2); q++) {
+      // calculate position for current tile
+      let position = hexToPosition(q, r);
+
+      // if position is within desired radius, add a hex
+      if (Math.hypot(position.x, position.z) >= world.maxDistance) continue;
+
+      // sample the noise on the old column/row grid so the terrain keeps the
+      // same scale it always had
+      let { col, row } = axialToOffset(q, r);
+      let noise = (noise2D(col * 0.1, row * 0.1) + 1) * 0.5;
+      noise = Math.pow(noise, 1.5);
+
+      let tile = {
+        q,
+        r,
+        position,
+        height: noise * maxHeight,
+        terrain: terrainForHeight(world, noise * maxHeight),
+        water: noise <= waterHeight,
+        decoration: null,
+        blocked: false,
+      };
+      world.tiles.set(hexKey(q, r), tile);
+
+      rollDecoration(world, tile, random);
+    }
+  }
+
+  return world;
+}
+
+// picks the terrain band used to texture a tile of the given height
+export function terrainForHeight(world, height) {
+  let maxHeight = world.maxHeight;
+  if (height > maxHeight * STONE_HEIGHT) return "stone";
+  if (height > maxHeight * DIRT_HEIGHT) return "dirt";
+  if (height > maxHeight * GRASS_HEIGHT) return "grass";
+  if (height > maxHeight * world.waterHeight + 0.01) return "sand";
+  return "dirt2";
+}
+
+// if tile is valid and not on rabbit spawn point roll for a terrain asset
+function rollDecoration(world, tile, random) {
+  if (tile.water || (tile.q == 0 && tile.r == 0)) return;
+
+  let randomValue = random();
+  for (let decoration of DECORATIONS[tile.terrain]) {
+    if (randomValue > decoration.above) {
+      tile.decoration = decoration.type;
+      if (decoration.blocking) tile.blocked = true;
+      return;
+    }
+  }
+}
+
+// height of the water surface; tiles at or below it are under water
+export function getWaterLevel(world) {
+  return world.maxHeight * world.waterHeight;
+}
+
+// reshapes a tile, e.g. in the level editor. Its terrain band follows the new
+// height, and a tile sunk under the water level loses its decoration.
+export function setTileHeight(world, tile, height) {
+  tile.height = Math.min(world.maxHeight, Math.max(0, height));
+  tile.terrain = terrainForHeight(world, tile.height);
+  tile.water = tile.height <= getWaterLevel(world);
+  if (tile.water) setTileDecoration(tile, null);
+}
+
+// puts a decoration on a tile (any type from DECORATIONS, whatever the
+// terrain) or removes it with null. Water tiles stay bare.
+export function setTileDecoration(tile, type) {
+  if (tile.water) type = null;
+  tile.decoration = type;
+  tile.blocked = type != null && isBlockingDecoration(type);
+}
+
+// every decoration type there is, across all terrain bands
+export function getDecorationTypes() {
+  return Object.values(DECORATIONS).flat().map((decoration) => decoration.type);
+}
+
+function isBlockingDecoration(type) {
+  return Object.values(DECORATIONS).flat().some((decoration) => decoration.type == type && decoration.blocking);
+}
+
+// constant time lookup of the tile at (q, r); undefined off the map
+export function getTile(world, q, r) {
+  return world.tiles.get(hexKey(q, r));
+}
+
+// dry open ground: a tile that exists and isn't water, flooded (see
+// weather.js) or covered by a tree or rock. Animals can swim, but they only
+// ever spawn (and traps are only ever set) on walkable tiles. Whether one tile
+// can be reached from another is up to the rules in movement.js.
+export function isWalkable(tile) {
+  return tile != undefined && !tile.blocked && !tile.water && !tile.flooded;
+}
+
+// returns all accessible adjacent tiles
+export function getAllAdjacentTiles(world, q, r) {
+  let possibleTiles = [];
+  for (let hex of hexNeighbors({ q, r })) {
+    let tile = getTile(world, hex.q, hex.r);
+    if (isWalkable(tile)) possibleTiles.push(tile);
+  }
+  return possibleTiles;
+}
+
+// every tile animals may spawn on: walkable tiles near the middle of the map
+export function getSpawnTiles(world) {
+  return hexesInRange({ q: 0, r: 0 }, Math.floor(world.maxDistance / 2))
+    .map((hex) => getTile(world, hex.q, hex.r))
+    .filter(isWalkable);
+}
+
+// helper function for getting a valid random spawn tile out of spawnTiles
+// (see getSpawnTiles, worked out once by the caller). Tiles in `reserved`
+// (keys from hexKey) are skipped and the chosen tile is added to it, so
+// repeated calls never hand out the same tile twice. isAllowed(tile) can rule
+// out more tiles.
+export function getRandomValidTile(spawnTiles, random, reserved, isAllowed = () => true) {
+  let candidates = spawnTiles
+    .filter((tile) => !reserved.has(hexKey(tile.q, tile.r)) && isAllowed(tile));
+  if (candidates.length == 0) return undefined;
+
+  let tile = candidates[Math.floor(random() * candidates.length)];
+  reserved.add(hexKey(tile.q, tile.r));
+  return tile;
+}
+
+// straight line distance between two tiles in world units
+export function tileDistance(a, b) {
+  return Math.hypot(a.position.x - b.position.x, a.position.z - b.position.z);
+}
@@ -26,33 +26,168 @@ import {
   MeshBasicMaterial,
   FloatType,
   ConeGeometry,
-  AmbientLight
+  TorusGeometry,
+  Group,
+  AmbientLight,
+  LoadingManager
 } from 'three';
 
 import { OrbitControls } from 'OrbitControls';
-import { FBXLoader } from 'FBXLoader';
 import { RGBELoader } from 'RGBELoader';
 import { mergeBufferGeometries } from 'BufferGeometryUtils';
 import { Water } from 'Water';
 
 import SimplexNoise from 'https://cdn.skypack.dev/simplex-noise';
 
+import { createRandom, getSeedFromURL, setSeedInURL } from './random.js';
+import { ACTIONS, createInput } from './input.js';
+import {
+  generateWorld,
+  getSpawnTiles,
+  getTile,
+  getWaterLevel,
+  setTileDecoration,
+  setTileHeight
+} from './game/world.js';
+import { hexDistance, hexKey, mod, positionToHex } from './game/hexgrid.js';
+import { DAY_START, formatClock, getTimeOfDay, isNight } from './game/daynight.js';
+import { describeWeather, getFloodLevel } from './game/weather.js';
+import { getFoxVision } from './game/foxes.js';
+import { getBearVision } from './game/bears.js';
+import { getVisibleTiles } from './game/vision.js';
+import {
+  createGameState,
+  getEntityTile,
+  playerAction,
+  tickGame
+} from './game/state.js';
+import { updateScore } from './game/scoring.js';
+import { createPhaseMachine } from './game/phases.js';
+import { createFixedStepLoop } from './game/loop.js';
+import {
+  configFromParams,
+  configToParams,
+  createConfig,
+  fitConfigToWorld,
+  validateConfig
+} from './game/config.js';
+import {
+  onScreenAction,
+  setScreenBindings,
+  showLoadingError,
+  showLoadingProgress,
+  showScreen
+} from './ui/screens.js';
+import { hideSettings, isSettingsOpen, onSettingsApply, showSettings } from './ui/settings.js';
+import { hideSaves, isSavesOpen, onSavesAction, showSaves, showSavesMessage } from './ui/saves.js';
+import { hideCampaign, isCampaignOpen, onCampaignAction, showCampaign } from './ui/campaign.js';
+import { createMinimap } from './ui/minimap.js';
+import {
+  hideControls,
+  isControlsOpen,
+  onControlsAction,
+  showControls,
+  showControlsMessage
+} from './ui/controls.js';
+import { enableTouchControls, onTouchInput } from './ui/touch.js';
+import { hideSound, isSoundOpen, onSoundChange, showSound } from './ui/sound.js';
+import {
+  getEditorTool,
+  getLevelInfo,
+  hideEditor,
+  onEditorAction,
+  showEditor,
+  showEditorMessage
+} from './ui/editor.js';
+import {
+  createLevelGame,
+  describeGoal,
+  getSpawnsFromGame,
+  parseLevel,
+  removeSpawns,
+  serializeLevel,
+  setSpawn,
+  validateLevel
+} from './game/level.js';
+import { CAMPAIGN, recordLevelResult } from './game/campaign.js';
+import { deserializeGame, serializeGame } from './game/save.js';
+import { createRecorder, createReplay, isReplay } from './game/replay.js';
+import {
+  hideReplayControls,
+  onReplayAction,
+  showReplayControls,
+  updateReplayControls
+} from './ui/replay.js';
+import {
+  AUTOSAVE_SLOT,
+  deleteSave,
+  downloadJSON,
+  pickJSONFile,
+  readJSON,
+  readJSONFile,
+  readSave,
+  writeJSON,
+  writeSave
+} from './storage.js';
+import { createAnimator } from './render/animation.js';
+import { createAssetManager } from './render/assets.js';
+import { createDecorationLayer } from './render/decorations.js';
+import { createStats } from './ui/stats.js';
+import { createAudioManager } from './audio/audio.js';
+import { createCameraController } from './render/camera.js';
+import { createEditorView } from './render/editor.js';
+import { createSky } from './render/sky.js';
+import { createWeatherEffects } from './render/weather.js';
+import { createVisionCones } from './render/vision.js';
+
 // Instantiate Relevant Items
-let scene, camera, controls, renderer, clock, water;
+let scene, camera, controls, renderer, clock, water, mapFloor;
 let envmap, pmrem;
 let light, ambientLight;
 
 // Define World Settings
-// we can control max height to make things more flat or not.
-const MAX_HEIGHT = 8;
-
-// map dimensions
-const LENGTH = 40;
-const MAX_DISTANCE_THRESHOLD = Math.floor(0.8 * LENGTH);
-const BABYRABBITS_NUM = Math.floor(LENGTH / 10);
-const FOXES_NUM = Math.floor(LENGTH / 15);
-const BEARS_NUM = Math.floor(LENGTH / 45);
-const WATER_HEIGHT = 0.15;
+// map size, max height (to make things more flat or not), water level, how
+// many animals and traps and what the player starts with. Starts from
+// ?difficulty= (normal by default) plus any single setting given in the url,
+// and can be changed in game from the settings panel.
+let config = configFromParams(new URLSearchParams(window.location.search));
+// counts that had to be cut down to fit the current world, if any
+let configErrors = [];
+
+// world seed, taken from ?seed= in the url. Every random roll made while
+// building the world (heights, decorations, spawns) comes from one generator
+// seeded with it, so sharing the url shares the exact same map.
+let seed = getSeedFromURL();
+
+// "realtime" or "turnBased"; ?mode=turnBased starts in turn based mode, the
+// title screen lets the player pick either
+let mode = new URLSearchParams(window.location.search).get("mode") == "turnBased"
+  ? "turnBased"
+  : "realtime";
+
+// ?stats shows frame rate, draw calls and how long the world took to build
+const showStats = new URLSearchParams(window.location.search).has("stats");
+
+// ?fogOfWar only shows the rabbit's surroundings: the minimap leaves out what
+// it hasn't explored yet, and predators are hidden unless it can see them
+const fogOfWar = new URLSearchParams(window.location.search).has("fogOfWar");
+
+// seconds between game ticks in real time mode
+const TICK_SECONDS = 1;
+// seconds of play between autosaves
+const AUTOSAVE_SECONDS = 30;
+// how close (in tiles) a fox has to be for the music to turn tense
+const DANGER_DISTANCE = 4;
+// how quickly the sky catches up with the game's time of day, which only
+// moves on ticks; higher is snappier
+const SKY_RATE = 2;
+// envMapIntensity of the terrain and map floor in full daylight
+const TERRAIN_REFLECTIONS = 0.135;
+const FLOOR_REFLECTIONS = 0.1;
+// how quickly the water surface catches up with a rising or draining flood
+const FLOOD_RATE = 1;
+// how far (in hops) the rabbit can see with ?fogOfWar
+const RABBIT_SIGHT = 8;
 
 function initScene() {
   // Initialize Camera
@@ -116,693 +251,1101 @@ function initLights() {
 
 initScene();
 initLights();
-buildScene();
-animateScene();
 
-// dictionary that maps the tilePosition to the hex
-let positionToHexDict = new Map();
-// map storing impassible terrain
-let hardTerrain = new Map();
-// keyState of up down left or right
-let keyState;
-let globalRabbit;
-
-// dictionary that maps xy 1D coordinate to tilePosition
-let bears = [];
-let foxes = [];
-
-// dictionary that maps xy 1D coordinate to tilePosition
-let XYtoPositionDict = new Map();
-let babyRabbits = [];
-let isBabyRabbitUnited = [];
-let lives = 10;
-let totalScore = 3*3600;
-let bearTraps = [];
-
-// current Time 
-let start = Date.now(); // remember start time
-let timeScore = 0;
-  
-
-
-// general FBX loader
-function loadAsset(path) {
-  return new Promise((resolve, reject) => {
-    const fbxLoader = new FBXLoader();
-    fbxLoader.load(path, (asset) => resolve(asset));
-  })
+// lighting, background and water colour follow the time of day
+const sky = createSky(scene, light, ambientLight);
+// the time of day the sky is showing, easing towards the game's
+let skyTime = DAY_START;
+
+const stats = showStats ? createStats(document.getElementById("stats"), renderer) : undefined;
+
+// effects, animal sounds, ambience and music, heard from the camera
+const audio = createAudioManager(camera);
+
+// rain, lightning and fog over the scene, following the game's weather
+const weatherEffects = createWeatherEffects(scene, () => audio.playEffect("thunder"));
+
+// keyboard, gamepad and touch, mapped to actions for handleInput
+const input = createInput(handleInput);
+setScreenBindings(input.getBindings());
+enableTouchControls();
+
+// free, chase or top down camera; C cycles between them
+const cameraController = createCameraController(camera, controls, getGroundHeight);
+
+// which screen we are on: loading, title, playing, paused, won or lost
+const phases = createPhaseMachine();
+phases.events.on("phaseChanged", ({ phase, details }) => showScreen(phase, details));
+// pausing is a good moment to autosave, it's often followed by closing the tab
+phases.events.on("phaseChanged", ({ phase }) => {
+  if (phase == "paused") autosave();
+});
+// the animals fall quiet whenever the game isn't running. The end screens
+// get their own tune; during play the music follows the danger (see render).
+phases.events.on("phaseChanged", ({ phase }) => {
+  audio.setLoopsPaused(phase != "playing" && phase != "replaying");
+  if (phase == "won" || phase == "lost") audio.setMusic(phase);
+  if (phase == "title" || phase == "paused" || phase == "editing") audio.setMusic("calm");
+});
+showScreen(phases.phase);
+
+// the headless world and game state. Everything below only draws what these
+// say and forwards input to them.
+let world;
+let game;
+
+// the level being played, as level file data (see level.js) so restarts
+// build it afresh, or undefined for an endless world generated from the seed
+let level;
+// which CAMPAIGN level is being played, if the level is one of them
+let campaignIndex;
+// every campaign level's best result, see campaign.js
+const CAMPAIGN_KEY = "campaign";
+let campaignProgress = readJSON(CAMPAIGN_KEY) ?? {};
+// the level open in the editor: { world, spawns }
+let editing;
+
+// everything that belongs to the current world (terrain, decorations, animals,
+// traps) lives under this group so a restart can throw it all away at once
+let worldGroup;
+// the merged terrain mesh of every band, so the editor can rebuild them
+// after a change
+let terrainMeshes = {};
+
+// maps each game entity (rabbit, baby rabbits, foxes, bears, traps) to its model
+let entityMeshes = new Map();
+// turns the instant tile to tile moves of the game state into hops
+const animator = createAnimator();
+
+// top down overview in the corner; clicking it points the camera there
+const minimap = createMinimap(document.getElementById("minimap"), lookAt);
+
+// wedges showing where the predators are looking
+const visionCones = createVisionCones(scene);
+
+// with ?fogOfWar, the keys (see hexKey) of every tile the rabbit has seen
+// this game and of the ones it can see right now
+let explored = new Set();
+let inSight = new Set();
+if (fogOfWar) {
+  minimap.setFogOfWar((tile) => explored.has(hexKey(tile.q, tile.r)), (hex) => inSight.has(hexKey(hex.q, hex.r)));
 }
 
-// this entire function is asynchronous, meaning that it is not concerned with
-// the order in which things are declared/instantiated as long as dependencies
-// are declared/instantiated at some point within this file. Note that this function
-// only runs once. The animation loop is built into the WebGL renderer, which
-// functions slightly differently from the one given in our starter code.
-
-// also note that, within the async function, order still matters when it comes
-// to instantiating/declaring things in the right order.
-async function buildScene() {
-  // environment map set up. await in this case means that the command here will
-  // wait for RGBE Loader to finish processing the HDR file before continuing.
-  let pmrem = new PMREMGenerator(renderer);
-  pmrem.compileEquirectangularShader();
-
-  let envmapTexture = await new RGBELoader().loadAsync("assets/envmap.hdr");
-  let rt = pmrem.fromEquirectangular(envmapTexture);
-  envmap = rt.texture;
+// textures shared between worlds; loaded once by loadEnvironment
+let textures;
+
+// every file loaded at startup goes through this manager, so the loading
+// screen can show how far along it all is
+const loadingManager = new LoadingManager();
+loadingManager.onProgress = (url, loaded, total) => showLoadingProgress(loaded, total);
+// every model, loaded once up front and copied for each use
+const assets = createAssetManager(loadingManager);
+
+// seconds of actual play, which is what the score drains against
+let elapsedTime = 0;
+// seconds of play since the last autosave
+let autosaveTimer = 0;
+
+// records every action of the current game so it can be replayed; games
+// loaded from a save aren't recorded since they didn't start at tick 0
+let recorder;
+// the replay being watched, if any, and how it is being played back
+let replay;
+let replayPlaying = false;
+let replaySpeed = 1;
+const replayLoop = createFixedStepLoop(TICK_SECONDS, stepReplay);
+// in real time mode the foxes and bears move on a fixed tick driven by the
+// render loop
+const tickLoop = createFixedStepLoop(TICK_SECONDS, () => tickGame(game));
+
+// the terrain bands, each drawn as one merged mesh with its own texture
+const TERRAIN_BANDS = ["stone", "dirt", "dirt2", "sand", "grass"];
+// how much the editor's raise and lower tools change a tile's height
+const EDITOR_HEIGHT_STEP = 0.5;
+
+// the level editor's mouse picking and spawn markers
+const editorView = createEditorView(camera, renderer.domElement, editTile);
+
+// models and scales for every decoration type the world can roll
+const DECORATION_MODELS = {
+  rockMoss09: { path: 'assets/PP_Rock_Moss_Grown_09.fbx', scale: 0.004 },
+  mushroomPurple: { path: 'assets/PP_Mushroom_Fantasy_Purple_08.fbx', scale: 0.08 },
+  mushroomOrange: { path: 'assets/PP_Mushroom_Fantasy_Orange_09.fbx', scale: 0.04 },
+  birchTree: { path: 'assets/PP_Birch_Tree_05.fbx', scale: 0.015 },
+  tree: { path: 'assets/PP_Tree_02.fbx', scale: 0.015 },
+  hyacinth: { path: 'assets/PP_Hyacinth_04.fbx', scale: 0.05 },
+  grass11: { path: 'assets/PP_Grass_11.fbx', scale: 0.05 },
+  rockPile: { path: 'assets/PP_Rock_Pile_Forest_Moss_05.fbx', scale: 0.004 },
+  grass15: { path: 'assets/PP_Grass_15.fbx', scale: 0.05 },
+  rockMoss11: { path: 'assets/PP_Rock_Moss_Grown_11.fbx', scale: 0.004 },
+};
+// every decoration in the world, drawn as one instanced mesh per model part
+const decorations = createDecorationLayer(assets, DECORATION_MODELS);
+
+// models and scales for the animals; the babies are smaller copies of the
+// rabbit
+const ENTITY_MODELS = {
+  rabbit: { path: 'assets/rabbit.fbx', scale: 0.05 },
+  babyRabbit: { path: 'assets/rabbit.fbx', scale: 0.03 },
+  bear: { path: 'assets/08bearFinal.fbx', scale: 0.015 },
+  fox: { path: 'assets/01foxFinal.fbx', scale: 0.017 },
+};
 
-  // load in textures for different hex types. Using minecraft texture packs
-  // is actually a very good idea for skinning the tiles.
-  let textures = {
-    dirt: await new TextureLoader().loadAsync("assets/dirt.png"),
-    dirt2: await new TextureLoader().loadAsync("assets/dirt2.png"),
-    grass: await new TextureLoader().loadAsync("assets/grass.png"),
-    sand: await new TextureLoader().loadAsync("assets/sand.png"),
-    water: await new TextureLoader().loadAsync("assets/water.jpg"),
-    stone: await new TextureLoader().loadAsync("assets/stone.png"),
-  };
+animateScene();
+// nothing can be played until everything has loaded; if anything fails the
+// loading screen says what and offers to try again
+loadEnvironment()
+  .then(() => {
+    buildWorld();
+    phases.transition("title");
+  })
+  .catch((error) => {
+    console.error(error);
+    showLoadingError(error.message);
+  });
 
-  // noise for generating different heights. we could use a different noise
-  // engine if we wanted actually, depending on what we want.
-  const simplex = new SimplexNoise();
-
-  // create 40x40 hex map, varying height using simplex noise. This will be
-  // larger for our purposes, but I haven't tested quite yet.
-  for (let i = -LENGTH; i <= LENGTH; i++) {
-    for (let j = -LENGTH; j <= LENGTH; j++) {
-      // calculate position for current tile
-      let position = tileToPosition(i, j);
-
-      // if position is within desired radius, add a hex
-      if (position.length() < MAX_DISTANCE_THRESHOLD) {
-        let noise = (simplex.noise2D(i * 0.1, j * 0.1) + 1) * 0.5;
-        noise = Math.pow(noise, 1.5);
-
-        XYtoPositionDict.set(XYto1D(i, j), position);
-        if (noise <= WATER_HEIGHT) {
-          hardTerrain.set(position, 1);
-        } else {
-          hardTerrain.set(position, 0);
-        }
-
-        hex(noise * MAX_HEIGHT, position, envmap);
-      }
+// input is registered once for the whole session and always talks to
+// whichever game is current, so restarting never stacks up listeners. Keys,
+// gamepads and the touch buttons all arrive here as actions (see input.js).
+function handleInput(action) {
+  if (action == "mute") {
+    audio.toggleMute();
+    if (isSoundOpen()) showSound(audio.getSettings());
+    return;
+  }
+  // with a panel open, pause closes it and nothing else happens
+  if (isSettingsOpen() || isSavesOpen() || isCampaignOpen() || isControlsOpen() || isSoundOpen()) {
+    if (action == "pause") {
+      hideSettings();
+      hideSaves();
+      hideCampaign();
+      hideControls();
+      hideSound();
     }
+    return;
+  }
+  if (action == "pause") togglePause();
+  // the hop that starts a game isn't also the game's first hop
+  if (action == "hop" && phases.phase == "title") {
+    startEndless(mode);
+    return;
   }
+  if (action == "camera") cameraController.cycleMode();
+  if (phases.phase != "playing") return;
 
-  // adds the aggregate geometries of each terrain type and textures them
-  let stoneMesh = hexMesh(stoneGeo, textures.stone);
-  let grassMesh = hexMesh(grassGeo, textures.grass);
-  let dirt2Mesh = hexMesh(dirt2Geo, textures.dirt2);
-  let dirtMesh = hexMesh(dirtGeo, textures.dirt);
-  let sandMesh = hexMesh(sandGeo, textures.sand);
-  scene.add(stoneMesh, dirtMesh, dirt2Mesh, sandMesh, grassMesh);
+  if (action == "hop" || action == "turnLeft" || action == "turnRight") act(action);
+}
 
-  // adds the water texture
-  let seaTexture = textures.water;
-  seaTexture.repeat = new Vector2(1, 1);
-  seaTexture.wrapS = RepeatWrapping;
-  seaTexture.wrapT = RepeatWrapping;
+// every player action goes through here so it ends up in the recording
+function act(action) {
+  recorder?.record(action);
+  playerAction(game, action);
+}
 
-  // water.js water
-  const textureLoader = new TextureLoader();
-  const waterGeometry = new CircleGeometry( 0.85 * LENGTH, 64 );
-	water = new Water( waterGeometry, {
-		color: new Color("#ffffff"),
-		scale: 1,
-		flowDirection: new Vector2( 0.1 , 0.05 ),
-		textureWidth: 1024,
-		textureHeight: 1024,
-    normalMap0: textureLoader.load( 'assets/Water_1_M_Normal.jpg' ),
-    normalMap1: textureLoader.load( 'assets/Water_2_M_Normal.jpg' ),
-	} );
+onScreenAction((action) => {
+  if (action == "reload") window.location.reload();
+  if (action == "start") startEndless("realtime");
+  if (action == "startTurnBased") startEndless("turnBased");
+  if (action == "campaign") showCampaign(campaignProgress, mode);
+  if (action == "nextLevel") playCampaignLevel(campaignIndex + 1, mode);
+  if (action == "resume") phases.transition("playing");
+  if (action == "restart") restart();
+  if (action == "newWorld") {
+    level = undefined;
+    campaignIndex = undefined;
+    restart(Math.floor(Math.random() * 4294967296));
+  }
+  if (action == "editor") openEditor();
+  if (action == "settings") showSettings(config, configErrors);
+  if (action == "controls") showControls(input.getBindings());
+  if (action == "sound") showSound(audio.getSettings());
+  if (action == "saves") showSaves(phases.phase == "paused");
+  if ((action == "replay" || action == "exportReplay") && recorder == undefined) {
+    alert("Games loaded from a save can't be replayed");
+    return;
+  }
+  if (action == "replay") watchReplay(recorder.toJSON());
+  if (action == "exportReplay") downloadJSON(recorder.toJSON(), "rabbit-rescue-replay-" + seed + ".json");
+  if (action == "importReplay") {
+    pickJSONFile()
+      .then(watchReplay)
+      .catch(() => alert("That file isn't a replay"));
+  }
+});
 
-	water.position.set(0, MAX_HEIGHT * WATER_HEIGHT, 0);
-	water.rotation.x = Math.PI * - 0.5;
-	scene.add( water );
+onControlsAction((action, { action: inputAction, slot }) => {
+  if (action == "reset") {
+    input.resetBindings();
+    showBindings();
+  }
+  if (action == "rebind") {
+    showControlsMessage("Press a key for " + ACTIONS[inputAction] + ", or Escape to cancel");
+    input.captureKey((code) => {
+      if (code != undefined) input.setBinding(inputAction, slot, code);
+      showBindings();
+    });
+  }
+});
+
+// the controls panel and the title and pause screens behind it all name the
+// current keys
+function showBindings() {
+  let bindings = input.getBindings();
+  showControls(bindings);
+  setScreenBindings(bindings);
+  if (phases.phase == "title" || phases.phase == "paused") showScreen(phases.phase);
+}
 
-  // defines and adds the map floor
-  let mapFloor = new Mesh(
-    new CylinderGeometry(0.9 * LENGTH, 0.9 * LENGTH, MAX_HEIGHT * 0.1, 50),
-    new MeshPhysicalMaterial({
-      envMap: envmap,
-      map: textures.dirt2,
-      envMapIntensity: 0.1,
-      side: DoubleSide,
-    })
-  );
-  mapFloor.receiveShadow = true;
-  mapFloor.position.set(0, -MAX_HEIGHT * 0.05, 0);
-  scene.add(mapFloor);
+onSoundChange((settings) => audio.setSettings(settings));
 
-  // load in rabbit asset and set global rabbit variable
-  loadAsset('assets/rabbit.fbx').then((rabbit) => {
-    rabbit.scale.multiplyScalar(0.05);
+onTouchInput((action, pressed) => {
+  if (pressed) input.press("touch:" + action, action);
+  else input.release("touch:" + action);
+});
 
-    let tilePosition = XYtoPositionDict.get(XYto1D(0, 0));
-    let translationVec = positionToHexDict.get(tilePosition)[1];
+onCampaignAction((action, { index, mode }) => {
+  if (action == "play") playCampaignLevel(index, mode);
+});
 
-    rabbit.translateX(translationVec.x);
-    rabbit.translateY(translationVec.y);
-    rabbit.translateZ(translationVec.z);
-    rabbit.tileX = 0;
-    rabbit.tileY = 0;
+onReplayAction((action, speed) => {
+  if (action == "togglePlay") replayPlaying = !replayPlaying;
+  if (action == "step") {
+    replayPlaying = false;
+    stepReplay();
+  }
+  if (action == "speed") replaySpeed = speed;
+  if (action == "exit") {
+    replay = undefined;
+    hideReplayControls();
+    restart(undefined, "title");
+    return;
+  }
+  refreshReplayControls();
+});
+
+onSavesAction((action, { name, file }) => {
+  if (action == "save") {
+    let saved = writeSave(name, serializeGame(game, getSession()));
+    showSaves(true);
+    showSavesMessage(saved ? "Saved as " + name : "Couldn't save, the browser storage may be full");
+  }
+  if (action == "load") loadGame(readSave(name));
+  if (action == "export") downloadJSON(readSave(name), "rabbit-rescue-" + name + ".json");
+  if (action == "delete") {
+    deleteSave(name);
+    showSaves(phases.phase == "paused");
+  }
+  if (action == "import") {
+    readJSONFile(file)
+      .then(loadGame)
+      .catch(() => showSavesMessage("That file isn't a saved game"));
+  }
+});
 
-    scene.add(rabbit);
+// a last autosave when the tab is closed mid game
+window.addEventListener("beforeunload", autosave);
 
-    globalRabbit = rabbit;
-    globalRabbit.angleMetric = 60;
-    globalRabbit.rotateY(Math.PI / 6);
-    globalRabbit.rotateY(2 * Math.PI / 3);
-  })
+onSettingsApply((newConfig) => {
+  let { config: valid, errors } = validateConfig(newConfig);
+  if (errors.length > 0) {
+    // show what was wrong along with the values it was clamped to
+    showSettings(valid, errors);
+    return;
+  }
+  hideSettings();
+  applyConfig(valid);
+});
+
+function startGame(newMode) {
+  mode = newMode;
+  game.mode = mode;
+  phases.transition("playing");
+}
 
-  // add event listener for rabbit
-  document.addEventListener("keydown", function(event) {
-    keyState = event.key;
-    moveRabbitUponSpacebar();
-    updateRabbitPerspective();
-  });
+// starts an endless game, first swapping the world shown behind the title
+// screen for a generated one if it is a level
+function startEndless(newMode) {
+  if (level != undefined) {
+    level = undefined;
+    campaignIndex = undefined;
+    restart(undefined, "title");
+  }
+  startGame(newMode);
+}
 
-  // add baby rabbits (for now, spheres with smaller radii)
-  generateBabyRabbits();
-  // add bears to the scene
-  generateBears();
-  // add bear traps to the scene
-  // generateBearTraps();
-  generateFoxes();
-
-  // move wolves every second
-  window.setInterval(updateFoxes, 1000);
-  
-  renderer.setAnimationLoop(() => {
-    //controls.update();
-    //renderer.render(scene, camera);
-    //updateWolves();
-    //updateSphere(sphere);
-    updateScore();
-  });
+function playCampaignLevel(index, newMode) {
+  hideCampaign();
+  campaignIndex = index;
+  level = CAMPAIGN[index];
+  mode = newMode;
+  restart();
+}
 
-  // move wolves every second
-  // window.setInterval(updateWolves, 1000);
-  /*
-  
-  renderer.setAnimationLoop(() => {
-    //controls.update();
-    renderer.render(scene, camera);
-    //updateWolves();
-  }); */
+// saves the result of a won campaign level and says how it went, as details
+// for the end screen
+function finishCampaignLevel() {
+  let campaignLevel = CAMPAIGN[campaignIndex];
+  // in turn based games every turn counts as a tick's worth of time
+  let time = game.tick * TICK_SECONDS;
+  let { newBest } = recordLevelResult(campaignProgress, campaignLevel.id, { score: game.score, time });
+  writeJSON(CAMPAIGN_KEY, campaignProgress);
+
+  let notes = [time <= campaignLevel.parTime
+    ? "Under par: " + time + "s against a par of " + campaignLevel.parTime + "s!"
+    : "Finished in " + time + "s, par is " + campaignLevel.parTime + "s."];
+  if (newBest) notes.push("New best score!");
+  let nextLevel = campaignIndex + 1 < CAMPAIGN.length;
+  if (!nextLevel) notes.push("That was the last level of the campaign.");
+  return { notes, nextLevel };
 }
 
-// animation
-function animateScene() {
-  requestAnimationFrame( animateScene );
-  controls.update();
-	render();
+// re-aims the camera at world position (x, z), on top of whatever tile is
+// there. The camera moves along with its target so the view angle and zoom
+// stay the same; from the chase or top down view it goes back to the free one.
+function lookAt(x, z) {
+  cameraController.focus(new Vector3(x, getGroundHeight(x, z), z));
 }
 
-function render() {
-  const delta = clock.getDelta();
-  renderer.render(scene, camera);
+// height of the terrain at world position (x, z); 0 off the map
+function getGroundHeight(x, z) {
+  let hex = positionToHex(x, z);
+  let tile = world == undefined ? undefined : getTile(world, hex.q, hex.r);
+  return tile == undefined ? 0 : tile.height;
+}
+
+onEditorAction((action) => {
+  if (action == "export") {
+    let errors = validateLevel(editing.world, editing.spawns);
+    let info = getLevelInfo();
+    showEditorMessage(errors.length > 0 ? "Exported, but: " + errors.join(", ") : "");
+    downloadJSON(serializeLevel(editing.world, editing.spawns, info), info.name + ".json");
+  }
+  if (action == "import") {
+    pickJSONFile()
+      .then((data) => {
+        let imported = parseLevelForEditing(data);
+        phases.transition("loading");
+        startEditing(imported.world, imported.spawns, imported);
+      })
+      .catch((error) => showEditorMessage(error instanceof SyntaxError ? "That file isn't a level" : error.message));
+  }
+  if (action == "play") {
+    let errors = validateLevel(editing.world, editing.spawns);
+    if (errors.length > 0) {
+      showEditorMessage(errors.join(", "));
+      return;
+    }
+    level = serializeLevel(editing.world, editing.spawns, getLevelInfo());
+    campaignIndex = undefined;
+    closeEditor();
+    restart();
+  }
+  if (action == "exit") {
+    closeEditor();
+    restart(undefined, "title");
+  }
+});
+
+// opens the level editor on the current world, with everything starting
+// where it does in the current game
+function openEditor() {
+  phases.transition("loading");
+  startEditing(world, getSpawnsFromGame(game), {
+    name: level?.name ?? "Seed " + seed,
+    goal: game.goal,
+    parTime: level?.parTime,
+  });
 }
 
-// creates baby rabbits in the form of white spheres of half the radius, and adds them to the scene
-function generateBabyRabbits() {
-  for (let i = 0; i < BABYRABBITS_NUM; i++) {
-    // get a random valid tile
-    let tile = getRandomValidTile();
-    // load in rabbit asset and set global rabbit variable
-    loadAsset('assets/rabbit.fbx').then((rabbit) => {
-      rabbit.scale.multiplyScalar(0.03);
+// reads a level file to edit. Anything the level leaves to chance is placed
+// the way it would be in a game, so every animal has a spawn point to move.
+function parseLevelForEditing(data) {
+  let random = createRandom(data?.seed ?? seed);
+  let parsed = parseLevel(data, random, createNoise);
+  if (parsed.spawns == undefined) parsed.spawns = getSpawnsFromGame(createLevelGame(parsed, random, { mode }));
+  return parsed;
+}
 
-      let translationVec = positionToHexDict.get(tile[0])[1];
+// swaps whatever is in the scene for a level to edit. info is the level's
+// { name, goal, parTime }. Expects to be called in the loading phase.
+function startEditing(levelWorld, spawns, info) {
+  editorView.detach();
+  teardownWorld();
+  editing = { world: levelWorld, spawns };
+  world = levelWorld;
+  buildTerrain();
+
+  editorView.attach(worldGroup, world);
+  editorView.setPickTargets(Object.values(terrainMeshes));
+  editorView.updateMarkers(editing.spawns);
+  showEditor(info);
+  phases.transition("editing");
+}
 
-      rabbit.translateX(translationVec.x);
-      rabbit.translateY(translationVec.y);
-      rabbit.translateZ(translationVec.z);
-      rabbit.tileX = tile[1];
-      rabbit.tileY = tile[2];
+function closeEditor() {
+  editorView.detach();
+  hideEditor();
+  editing = undefined;
+}
 
-      isBabyRabbitUnited.push(false);
-      babyRabbits.push(rabbit);
+// applies the editor's current tool to the clicked hex
+function editTile(hex) {
+  let tile = getTile(editing.world, hex.q, hex.r);
+  let previous = { terrain: tile.terrain, height: tile.height, decoration: tile.decoration };
+  let { tool, decoration, spawn } = getEditorTool();
+
+  if (tool == "raise") setTileHeight(editing.world, tile, tile.height + EDITOR_HEIGHT_STEP);
+  if (tool == "lower") setTileHeight(editing.world, tile, tile.height - EDITOR_HEIGHT_STEP);
+  // sink the tile halfway under the surface
+  if (tool == "water") {
+    setTileHeight(editing.world, tile, Math.min(tile.height, getWaterLevel(editing.world) / 2));
+  }
+  if (tool == "decoration") setTileDecoration(tile, decoration);
+  if (tool == "spawn") setSpawn(editing.spawns, spawn, tile);
+  if (tool == "clear") {
+    setTileDecoration(tile, null);
+    removeSpawns(editing.spawns, tile);
+  }
 
-      scene.add(rabbit);
-    })
+  if (tile.height != previous.height) {
+    for (let terrain of new Set([previous.terrain, tile.terrain])) buildTerrainBand(terrain);
+    editorView.setPickTargets(Object.values(terrainMeshes));
+  }
+  if (tile.decoration != previous.decoration || tile.height != previous.height) {
+    decorations.updateTile(tile, previous.decoration);
   }
+  editorView.updateMarkers(editing.spawns);
 }
 
-// creates bears and adds them to the scene
-function generateBears() {
-  for (let i = 0; i < BEARS_NUM; i++) {
-    // get a random valid tile
-    let tile = getRandomValidTile();
-    // load in bear asset and set global bear variable
-    loadAsset('assets/08bearFinal.fbx').then((bear) => {
-      bear.scale.multiplyScalar(0.015);
+// rebuilds the world a recording was made on and starts playing it back
+function watchReplay(recording) {
+  if (!isReplay(recording)) {
+    alert("That isn't a replay this version of the game can play");
+    return;
+  }
 
-      let translationVec = positionToHexDict.get(tile[0])[1];
+  phases.transition("loading");
+  seed = recording.seed;
+  setSeedInURL(seed);
+  level = recording.level;
+  campaignIndex = undefined;
+  config = validateConfig({ ...createConfig(), ...recording.config }).config;
+  setConfigInURL(config);
+  mode = recording.mode;
+
+  teardownWorld();
+  buildWorld();
+  // the replay plays itself, nothing to record
+  recorder = undefined;
+  replay = createReplay(recording, game);
+  replayLoop.reset();
+  replayPlaying = true;
+
+  phases.transition("replaying");
+  showReplayControls();
+  refreshReplayControls();
+}
 
-      bear.translateX(translationVec.x);
-      bear.translateY(translationVec.y);
-      bear.translateZ(translationVec.z);
-      bear.tileX = tile[1];
-      bear.tileY = tile[2];
+// one tick of the replay
+function stepReplay() {
+  if (replay == undefined) return;
+  replay.step();
+  if (replay.isFinished()) replayPlaying = false;
+  refreshReplayControls();
+}
 
-      bears.push(bear);
-      scene.add(bear);
-    })
-  }
+function refreshReplayControls() {
+  if (replay == undefined) return;
+  updateReplayControls({
+    tick: replay.tick,
+    ticks: game.mode == "realtime" ? replay.ticks : undefined,
+    playing: replayPlaying,
+    speed: replaySpeed,
+    finished: replay.isFinished(),
+  });
 }
 
-// creates bear traps in the form of yellow cones, and adds them to the scene
-/*
-function generateBearTraps() {
-  for (let i = 0; i < BEARTRAPS_NUM; i++) {
-    let geometry = new ConeGeometry( 1, 5, 32 );
-    let material = new MeshBasicMaterial( {color: 0x808080} );
-    let bearTrap = new Mesh( geometry, material );
-
-    bearTraps.push(bearTrap);
-    scene.add(bearTrap);
-    // randomly put bear traps on the scene
-    while (true) {
-      let i = Math.floor(MAX_DISTANCE_THRESHOLD* Math.random() - MAX_DISTANCE_THRESHOLD/2);
-      let j = Math.floor(MAX_DISTANCE_THRESHOLD * Math.random() - MAX_DISTANCE_THRESHOLD/2);
-      let tilePosition = XYtoPositionDict.get(XYto1D(i, j));
-      // keep looking for tiles until you have one that is actually on the terrain
-      if (tilePosition == undefined) continue;
-      let translationVec = positionToHexDict.get(tilePosition)[1];
-      bearTrap.translateX(translationVec.x);
-      bearTrap.translateY(translationVec.y);
-      bearTrap.translateZ(translationVec.z);
-      bearTrap.tileX = i;
-      bearTrap.tileY = j;
-      break;
-    }
+function togglePause() {
+  if (phases.phase == "playing") phases.transition("paused");
+  else if (phases.phase == "paused") phases.transition("playing");
+}
+
+// throws the current world away and builds a fresh one in place, on the same
+// seed unless a new one is given. Goes straight into play unless told to stop
+// at another phase (e.g. back to the title screen).
+function restart(newSeed, next = "playing") {
+  phases.transition("loading");
+  if (newSeed != undefined) {
+    seed = newSeed;
+    setSeedInURL(seed);
   }
+  teardownWorld();
+  buildWorld();
+  phases.transition(next);
 }
-*/
 
-// creates wolves in the form of yellow black spheres, and adds them to the scene
-function generateFoxes() {
-  for (let i = 0; i < FOXES_NUM; i++) {
-    // get a random valid tile
-    let tile = getRandomValidTile();
-    // load in fox asset
-    loadAsset('assets/01foxFinal.fbx').then((fox) => {
-      fox.scale.multiplyScalar(0.017);
+// switches to new settings, keeping them in the url so a reload or a shared
+// link plays with the same ones, and rebuilds the world with them. Changing
+// settings from the title screen goes back to it, anywhere else starts a game.
+function applyConfig(newConfig) {
+  config = newConfig;
+  setConfigInURL(config);
+  restart(undefined, phases.phase == "title" ? "title" : "playing");
+}
 
-      let translationVec = positionToHexDict.get(tile[0])[1];
+function setConfigInURL(config) {
+  let url = new URL(window.location.href);
+  configToParams(config, url.searchParams);
+  window.history.replaceState(null, "", url);
+}
 
-      fox.translateX(translationVec.x);
-      fox.translateY(translationVec.y);
-      fox.translateZ(translationVec.z);
-      fox.tileX = tile[1];
-      fox.tileY = tile[2];
+// the parts of the session a save needs besides the game state itself
+function getSession() {
+  return { seed, config, elapsedTime };
+}
 
-      foxes.push(fox);
-      scene.add(fox);
-    })
+// saves the game in progress to the autosave slot
+function autosave() {
+  autosaveTimer = 0;
+  if (game == undefined || game.status != "playing" || !(phases.phase == "playing" || phases.phase == "paused")) return;
+  writeSave(AUTOSAVE_SLOT, serializeGame(game, getSession()));
+}
 
+// replaces the current game with a saved one (parsed from JSON) and rebuilds
+// the scene around it. The loaded game starts paused. If the save can't be
+// read the current game carries on and the saves panel says why.
+function loadGame(data) {
+  let restored;
+  try {
+    restored = deserializeGame(data);
+  } catch (error) {
+    showSavesMessage(error.message);
+    return;
   }
+
+  hideSaves();
+  phases.transition("loading");
+  seed = restored.seed;
+  setSeedInURL(seed);
+  // saves from before a setting existed get its default
+  config = validateConfig({ ...createConfig(), ...restored.config }).config;
+  setConfigInURL(config);
+
+  teardownWorld();
+  recorder = undefined;
+  // the save has every tile; restarting starts over on the seed's world
+  level = undefined;
+  campaignIndex = undefined;
+  world = restored.game.world;
+  game = restored.game;
+  mode = game.mode;
+  buildScene();
+  elapsedTime = restored.elapsedTime;
+  phases.transition("paused");
 }
 
-// returns all accessible adjacent tiles
-function getAllAdjacentTiles(tileX, tileY) {
-  let possibleTiles = [];
-  let tilePosition;
+// this function is asynchronous, meaning that it is not concerned with
+// the order in which things are declared/instantiated as long as dependencies
+// are declared/instantiated at some point within this file. Note that this function
+// only runs once: it loads everything that stays the same between worlds
+// (environment map, textures, every model, water and the map floor). All of
+// it loads in parallel and it rejects if any of it can't be loaded.
 
-  tilePosition = XYtoPositionDict.get(XYto1D(tileX + 1, tileY));
-  if (checkValidTile(tilePosition)) {
-    possibleTiles.push(XYto1D(tileX + 1, tileY));
-  }
+// also note that, within the async function, order still matters when it comes
+// to instantiating/declaring things in the right order.
+async function loadEnvironment() {
+  // every model starts loading right away and is waited for at the end
+  let models = assets.preload([
+    ...Object.values(ENTITY_MODELS).map((model) => model.path),
+    ...Object.values(DECORATION_MODELS).map((model) => model.path),
+  ]);
+  const textureLoader = new TextureLoader(loadingManager);
 
-  tilePosition = XYtoPositionDict.get(XYto1D(tileX - 1, tileY));
-  if (checkValidTile(tilePosition)) {
-    possibleTiles.push(XYto1D(tileX - 1, tileY));
-  }
+  // load in textures for different hex types. Using minecraft texture packs
+  // is actually a very good idea for skinning the tiles.
+  let texturePaths = {
+    dirt: "assets/dirt.png",
+    dirt2: "assets/dirt2.png",
+    grass: "assets/grass.png",
+    sand: "assets/sand.png",
+    water: "assets/water.jpg",
+    stone: "assets/stone.png",
+  };
+  let texturesLoaded = Promise.all(Object.entries(texturePaths).map(
+    ([name, path]) => textureLoader.loadAsync(path).then((texture) => [name, texture])
+  ));
+  let normalMaps = Promise.all([
+    textureLoader.loadAsync('assets/Water_1_M_Normal.jpg'),
+    textureLoader.loadAsync('assets/Water_2_M_Normal.jpg'),
+  ]);
 
-  // if y tile is even
-  if (mod(tileY, 2) == 1) {
-    tilePosition = XYtoPositionDict.get(XYto1D(tileX + 1, tileY + 1));
-    if (checkValidTile(tilePosition)) {
-      possibleTiles.push(XYto1D(tileX + 1, tileY + 1));
-    }
+  // environment map set up. await in this case means that the command here will
+  // wait for RGBE Loader to finish processing the HDR file before continuing.
+  let pmrem = new PMREMGenerator(renderer);
+  pmrem.compileEquirectangularShader();
 
-    tilePosition = XYtoPositionDict.get(XYto1D(tileX, tileY + 1));
-    if (checkValidTile(tilePosition)) {
-      possibleTiles.push(XYto1D(tileX, tileY + 1));
-    }
+  let envmapTexture = await new RGBELoader(loadingManager).loadAsync("assets/envmap.hdr");
+  let rt = pmrem.fromEquirectangular(envmapTexture);
+  envmap = rt.texture;
 
-    tilePosition = XYtoPositionDict.get(XYto1D(tileX, tileY - 1));
-    if (checkValidTile(tilePosition)) {
-      possibleTiles.push(XYto1D(tileX, tileY - 1));
-    }
+  textures = Object.fromEntries(await texturesLoaded);
 
-    tilePosition = XYtoPositionDict.get(XYto1D(tileX + 1, tileY - 1));
-    if (checkValidTile(tilePosition)) {
-      possibleTiles.push(XYto1D(tileX + 1, tileY - 1));
-    }
-  } else if (mod(tileY, 2) == 0) {
-    tilePosition = XYtoPositionDict.get(XYto1D(tileX, tileY + 1));
-    if (checkValidTile(tilePosition)) {
-      possibleTiles.push(XYto1D(tileX, tileY + 1));
-    }
+  // adds the water texture
+  let seaTexture = textures.water;
+  seaTexture.repeat = new Vector2(1, 1);
+  seaTexture.wrapS = RepeatWrapping;
+  seaTexture.wrapT = RepeatWrapping;
 
-    tilePosition = XYtoPositionDict.get(XYto1D(tileX - 1, tileY + 1));
-    if (checkValidTile(tilePosition)) {
-      possibleTiles.push(XYto1D(tileX - 1, tileY + 1));
-    }
+  // water.js water
+  let [normalMap0, normalMap1] = await normalMaps;
+  // both are built at unit size and scaled to the map by fitEnvironment
+  const waterGeometry = new CircleGeometry( 1, 64 );
+	water = new Water( waterGeometry, {
+		color: new Color("#ffffff"),
+		scale: 1,
+		flowDirection: new Vector2( 0.1 , 0.05 ),
+		textureWidth: 1024,
+		textureHeight: 1024,
+    normalMap0,
+    normalMap1,
+	} );
 
-    tilePosition = XYtoPositionDict.get(XYto1D(tileX - 1, tileY - 1));
-    if (checkValidTile(tilePosition)) {
-      possibleTiles.push(XYto1D(tileX - 1, tileY - 1));
-    }
+	water.rotation.x = Math.PI * - 0.5;
+	scene.add( water );
 
-    tilePosition = XYtoPositionDict.get(XYto1D(tileX, tileY - 1));
-    if (checkValidTile(tilePosition)) {
-      possibleTiles.push(XYto1D(tileX, tileY - 1));
-    }
-  }
-  return possibleTiles;
-}
+  // defines and adds the map floor
+  mapFloor = new Mesh(
+    new CylinderGeometry(1, 1, 1, 50),
+    new MeshPhysicalMaterial({
+      envMap: envmap,
+      map: textures.dirt2,
+      envMapIntensity: FLOOR_REFLECTIONS,
+      side: DoubleSide,
+    })
+  );
+  mapFloor.receiveShadow = true;
+  scene.add(mapFloor);
 
-// helper function for getting adjacent tiles
-function checkValidTile(tilePosition) {
-  return getByValue(XYtoPositionDict, tilePosition) != undefined && hardTerrain.get(tilePosition) != 1;
+  await models;
 }
 
-// helper function for getting a valid random tile
-function getRandomValidTile() {
-  while (true) {
-    let i = Math.floor(MAX_DISTANCE_THRESHOLD * Math.random() - MAX_DISTANCE_THRESHOLD / 2);
-    let j = Math.floor(MAX_DISTANCE_THRESHOLD * Math.random() - MAX_DISTANCE_THRESHOLD / 2);
+// sizes the water and map floor to the world's size, height and water
+// level. They are kept between worlds rather than rebuilt since the water's
+// reflection and refraction targets can't be freed from outside Water.js.
+function fitEnvironment(world) {
+  water.scale.set(0.85 * world.length, 0.85 * world.length, 1);
+  water.position.set(0, world.maxHeight * world.waterHeight, 0);
 
-    let tilePosition = XYtoPositionDict.get(XYto1D(i, j));
-    // keep looking for tiles until you have one that is actually on the terrain
-    if (tilePosition == undefined) continue;
-    if (!checkValidTile(tilePosition)) continue;
-
-    // set this tile position to be occupied
-    hardTerrain.set(tilePosition, 1);
+  mapFloor.scale.set(0.9 * world.length, world.maxHeight * 0.1, 0.9 * world.length);
+  mapFloor.position.set(0, -world.maxHeight * 0.05, 0);
+}
 
-    return [tilePosition, i, j];
+// generates a world from the current seed (or sets up the current level)
+// and builds everything in it
+function buildWorld() {
+  // levels can bring a seed of their own
+  let random = createRandom(level?.seed ?? seed);
+  if (level != undefined) {
+    buildLevel(random);
+    return;
   }
-}
 
-// finds the tile closes in straight line distance to the rabbit
-function getClosestAdjacentTileToRabbit(allAdjacent, excluding) {
-  let minDistance = Infinity;
-  let closestTile;
+  // create the hex map, varying height using simplex noise. The world module
+  // decides heights, terrain and decorations; we only build the meshes.
+  world = generateWorld({
+    length: config.length,
+    maxHeight: config.maxHeight,
+    waterHeight: config.waterHeight,
+    random,
+    noise2D: createNoise(random),
+  });
 
-  
-  for (let tile1D of allAdjacent) {
-    if (excluding != null) {
-      let skipTile = false;
-      for (let otherWolf of excluding) {
-        if (otherWolf == tile1D) {
-          skipTile = true;
-          break;
-        }
-      }
-      if (skipTile) continue;
-    }
-    let tile = XYtoPositionDict.get(tile1D);
-    let rabbitPosition = XYtoPositionDict.get(XYto1D(globalRabbit.tileX, globalRabbit.tileY));
-    if (tile.distanceTo(rabbitPosition) < minDistance) {
-      closestTile = tile1D;
-      minDistance = tile.distanceTo(rabbitPosition);
-    }
-  }
-  return closestTile;
-}
-
-
-  // wolves move randomly to a neighboring tile
-  function updateFoxes() {
-    //delta = clock.getDelta();
-    for (let fox of foxes) {
-      let allAdjacent = getAllAdjacentTiles(fox.tileX, fox.tileY);
-      
-      let excluding = [];
-      for (let otherFox of foxes) {
-        excluding.push(XYto1D(otherFox.tileX, otherFox.tileY));
-      }
-      let closestAdjacentTile = getClosestAdjacentTileToRabbit(allAdjacent, excluding);
-      
-      if (XYtoPositionDict.get(closestAdjacentTile) == undefined) continue;
-      
-      let translationVec = positionToHexDict.get(XYtoPositionDict.get(closestAdjacentTile))[1];
-      
-      /*
-      console.log("rabbit's position");
-      console.log(globalRabbit.tileX, globalRabbit.tileY);
-  
-      console.log("FOX's old position");
-      console.log(fox.tileX, fox.tileY); */
-  
-      fox.position.x = translationVec.x;
-      fox.position.y = translationVec.y; //+ radius/2;
-      fox.position.z = translationVec.z;
-  
-      let arr = oneDtoXY(closestAdjacentTile);
-      fox.tileX = arr[0];
-      fox.tileY = arr[1];
-  
-      /*
-      console.log("Fox's new position");
-      console.log(fox.tileX, fox.tileY); */
-  
-      if ((globalRabbit.position.x == fox.position.x) && (globalRabbit.position.z == fox.position.z)) {
-        lives--;
-        totalScore = Math.round(totalScore*0.93);
-      }
-      // check if contact with any of the babyRabbits
-      for (let babyRabbit of babyRabbits) {
-        if ((babyRabbit.position.x == fox.position.x) && (globalRabbit.position.z == fox.position.z)) {
-          console.log("BABY RABBIT REMOVED");
-          scene.remove(babyRabbit);
-          totalScore = Math.round(totalScore * 0.85);
-          //numOfBabiesSaved -= 1;
-        }
-      }
-  
-    }
-  }
-  
+  // small or flooded maps may not have room for every animal asked for
+  let fitted = fitConfigToWorld(config, getSpawnTiles(world).length);
+  configErrors = fitted.errors;
+
+  // place every animal in the game state
+  game = createGameState(world, random, {
+    mode,
+    babyRabbits: fitted.config.babyRabbits,
+    foxes: fitted.config.foxes,
+    bears: fitted.config.bears,
+    traps: {
+      snare: fitted.config.snares,
+      pitfall: fitted.config.pitfalls,
+      bearTrap: fitted.config.bearTraps,
+    },
+    lives: fitted.config.lives,
+    score: fitted.config.score,
+  });
+  recorder = createRecorder(game, { seed, config, tickSeconds: TICK_SECONDS });
+  buildScene();
+}
 
-/*
-// wolves move randomly to a neighboring tile
-function updateFoxes() {
-  //delta = clock.getDelta();
-  for (let fox of foxes) {
-    let allAdjacent = getAllAdjacentTiles(fox.tileX, fox.tileY);
-    let closestAdjacentTile = getClosestAdjacentTileToRabbit(allAdjacent, fox.tileX, fox.tileY);
+// noise for generating different heights. we could use a different noise
+// engine if we wanted actually, depending on what we want. Seeded from the
+// world generator so the heights are reproducible.
+function createNoise(random) {
+  const simplex = new SimplexNoise(random);
+  return (x, y) => simplex.noise2D(x, y);
+}
 
-    if (XYtoPositionDict.get(oneDtoXY(closestAdjacentTile)) == undefined) continue;
+// starts a game on the current level. Lives and score come from the
+// settings unless the level sets them, everything else from the level.
+function buildLevel(random) {
+  let parsed = parseLevel(level, random, createNoise);
+  world = parsed.world;
+  configErrors = [];
+  game = createLevelGame(parsed, random, {
+    mode,
+    lives: config.lives,
+    score: config.score,
+  });
+  recorder = createRecorder(game, { seed, config, tickSeconds: TICK_SECONDS, level });
+  buildScene();
+}
 
-    let translationVec = positionToHexDict.get(XYtoPositionDict.get(oneDtoXY(closestAdjacentTile)))[1];
+// builds the meshes for the current world and game and keeps the models in
+// sync with the game from then on
+function buildScene() {
+  explored = new Set();
+  buildTerrain();
+
+  subscribeToGame(game);
+  weatherEffects.reset();
+  weatherEffects.setWeather(game.weather.type);
+  // a restored game may already be flooded
+  minimap.updateTiles([...world.tiles.values()].filter((tile) => tile.flooded));
+  elapsedTime = 0;
+  autosaveTimer = 0;
+
+  addBurrowMesh(game.burrow);
+  // add the rabbit, its babies, bears and foxes
+  addEntityMesh(game.rabbit);
+  for (let babyRabbit of game.babyRabbits) addEntityMesh(babyRabbit);
+  for (let bear of game.bears) addEntityMesh(bear);
+  for (let fox of game.foxes) addEntityMesh(fox);
+  // add traps to the scene
+  for (let trap of game.traps) addTrapMesh(trap);
+
+  if (fogOfWar) revealAroundRabbit();
+  updateHUD();
+}
 
-    fox.position.x = translationVec.x;
-    fox.position.y = translationVec.y + radius / 2;
-    fox.position.z = translationVec.z;
+// the terrain and decorations of the current world, without any animals
+function buildTerrain() {
+  let started = performance.now();
+  worldGroup = new Group();
+  scene.add(worldGroup);
+  fitEnvironment(world);
+
+  for (let terrain of TERRAIN_BANDS) buildTerrainBand(terrain);
+  decorations.build(worldGroup, world);
+  minimap.setWorld(world);
+  // the more of the map is water, the more of it is heard
+  let waterTiles = [...world.tiles.values()].filter((tile) => tile.water).length;
+  audio.setAmbience(Math.min(1, 2 * waterTiles / world.tiles.size));
+  stats?.setWorld(world, performance.now() - started);
+}
 
-    fox.tileX, fox.tileY = oneDtoXY(closestAdjacentTile);
+// removes the current world from the scene and frees everything it used
+function teardownWorld() {
+  tickLoop.reset();
+  game?.events.clear();
+  scene.remove(worldGroup);
+  disposeObject(worldGroup);
+  terrainMeshes = {};
+  decorations.clear();
+  audio.clearLoops();
+  entityMeshes.clear();
+  visionCones.clear();
+  animator.clear();
+  worldGroup = undefined;
+  game = undefined;
+  world = undefined;
+}
 
-    if ((globalRabbit.position.x == fox.position.x) && (globalRabbit.position.z == fox.position.z)) {
-      updateLives();
+// frees the gpu side of every mesh under object. Textures shared between
+// worlds and the originals of loaded models are left alone.
+function disposeObject(object) {
+  let sharedTextures = new Set(Object.values(textures));
+  object.traverse((child) => {
+    // copies of models share the original's geometry and materials
+    if (child.geometry && !assets.isShared(child.geometry)) child.geometry.dispose();
+    if (!child.material) return;
+
+    let materials = Array.isArray(child.material) ? child.material : [child.material];
+    for (let material of materials) {
+      if (assets.isShared(material)) continue;
+      if (material.map && !sharedTextures.has(material.map)) material.map.dispose();
+      material.dispose();
     }
-  }
+  });
 }
-*/
-function updateRabbitPerspective() {
-  let prevX = globalRabbit.tileX;
-  let prevY = globalRabbit.tileY;
-  if (keyState == "ArrowLeft") {
-    //camera.rotateY(1.047);
-    globalRabbit.rotateY(Math.PI / 3);
-    globalRabbit.angleMetric = mod(globalRabbit.angleMetric + 60, 360);
+
+// animation
+function animateScene() {
+  requestAnimationFrame( animateScene );
+	render();
+}
+
+function render() {
+  const delta = clock.getDelta();
+  stats?.beginFrame();
+  input.update(delta);
+  if (phases.phase != "paused") animator.update(delta);
+  cameraController.update(delta, getCameraFocus());
+  // real time mode: the score drains with the clock and the foxes and bears
+  // move every tick. Turn based games only advance on player actions.
+  if (game != undefined && phases.phase == "playing" && game.mode == "realtime") {
+    elapsedTime += delta;
+    updateScore(game, elapsedTime);
+    tickLoop.advance(delta);
   }
-  if (keyState == "ArrowRight") {
-    //camera.rotateY(-1.047);
-    globalRabbit.rotateY(-Math.PI / 3);
-    globalRabbit.angleMetric = mod(globalRabbit.angleMetric - 60, 360);
+  if (phases.phase == "replaying" && replayPlaying) replayLoop.advance(delta * replaySpeed);
+  if (phases.phase == "playing") {
+    autosaveTimer += delta;
+    if (autosaveTimer >= AUTOSAVE_SECONDS) autosave();
   }
+  if (phases.phase == "playing" || phases.phase == "replaying") audio.setMusic(isInDanger() ? "danger" : "calm");
+  if (game != undefined) minimap.draw(game, controls.target);
+  updateSky(delta);
+  updateWater(delta);
+  if (game != undefined) updateVision();
+  renderer.render(scene, camera);
+  stats?.endFrame(delta);
 }
 
-function mod(n, m) {
-  return ((n % m) + m) % m;
+// eases the sky towards the game's time of day (going the short way round
+// midnight), clouds it over and rains on it as the weather says, and shows
+// both on the clock
+function updateSky(delta) {
+  let time = game == undefined ? DAY_START : getTimeOfDay(game);
+  let change = mod(time - skyTime + 0.5, 1) - 0.5;
+  skyTime = mod(skyTime + change * Math.min(1, delta * SKY_RATE), 1);
+
+  weatherEffects.update(delta, controls.target);
+  audio.setRain(weatherEffects.getRain());
+  let reflections = sky.update(skyTime, water, weatherEffects.getOvercast());
+  for (let mesh of Object.values(terrainMeshes)) mesh.material.envMapIntensity = TERRAIN_REFLECTIONS * reflections;
+  if (mapFloor != undefined) mapFloor.material.envMapIntensity = FLOOR_REFLECTIONS * reflections;
+
+  let clockText = game == undefined
+    ? ""
+    : (isNight(game) ? "🌙 " : "☀️ ") + formatClock(time) + " " + describeWeather(game.weather);
+  let clockElement = document.getElementById("clock");
+  if (clockElement.textContent != clockText) clockElement.textContent = clockText;
 }
 
-function moveRabbitUponSpacebar() {
-  let prevX = globalRabbit.tileX;
-  let prevY = globalRabbit.tileY;
-
-  if (keyState != " ") return;
-
-  if (mod(globalRabbit.angleMetric, 360) == 0) {
-    globalRabbit.tileX += 1;
-  } else if (mod(globalRabbit.angleMetric + 180, 360) == 0) {
-    globalRabbit.tileX -= 1;
-  }
-  // if y tile is even
-  else if (mod(prevY, 2) == 1) {
-    if (mod(globalRabbit.angleMetric + 60, 360) == 0) {
-      globalRabbit.tileX += 1;
-      globalRabbit.tileY += 1;
-    }
-    if (mod(globalRabbit.angleMetric + 120, 360) == 0) {
-      globalRabbit.tileY += 1;
-    }
-    if (mod(globalRabbit.angleMetric + 240, 360) == 0) {
-      globalRabbit.tileY -= 1;
-    }
-    if (mod(globalRabbit.angleMetric + 300, 360) == 0) {
-      globalRabbit.tileX += 1;
-      globalRabbit.tileY -= 1;
-    }
-  } else if (mod(prevY, 2) == 0) {
-    if (mod(globalRabbit.angleMetric + 60, 360) == 0) {
-      globalRabbit.tileX += 0;
-      globalRabbit.tileY += 1;
-    }
-    if (mod(globalRabbit.angleMetric + 120, 360) == 0) {
-      globalRabbit.tileX += -1;
-      globalRabbit.tileY += 1;
-    }
-    if (mod(globalRabbit.angleMetric + 240, 360) == 0) {
-      globalRabbit.tileX += -1;
-      globalRabbit.tileY += -1;
-    }
-    if (mod(globalRabbit.angleMetric + 300, 360) == 0) {
-      globalRabbit.tileX += 0;
-      globalRabbit.tileY += -1;
-    }
-  }  
-  //   check of the one that you want to go to is a valid tile
-
-  let tilePosition = XYtoPositionDict.get(XYto1D(globalRabbit.tileX, globalRabbit.tileY));
+// eases the water surface up or down to the game's flood level
+function updateWater(delta) {
+  if (game == undefined) return;
+  water.position.y += (getFloodLevel(game) - water.position.y) * Math.min(1, delta * FLOOD_RATE);
+}
 
-  if ((tilePosition == undefined)) {
-    globalRabbit.tileX = prevX;
-    globalRabbit.tileY = prevY;
-    return;
+// points a wedge where every fox and every bear that is up is looking and,
+// with ?fogOfWar, hides the predators the rabbit can't see along with their
+// wedges
+function updateVision() {
+  let isShown = (predator) => !fogOfWar || inSight.has(hexKey(predator.q, predator.r));
+  let foxVision = getFoxVision(game);
+  let bearVision = getBearVision(game);
+  let cones = [];
+  for (let predator of [...game.foxes, ...game.bears]) {
+    let mesh = entityMeshes.get(predator);
+    if (mesh == undefined) continue;
+    mesh.visible = isShown(predator);
+    if (!mesh.visible || predator.mode == "sleeping") continue;
+    cones.push({ entity: predator, mesh, vision: predator.type == "fox" ? foxVision : bearVision });
   }
+  visionCones.update(cones);
+}
 
-  let translationVec = positionToHexDict.get(tilePosition)[1];
-
-  globalRabbit.position.x = translationVec.x;
-  globalRabbit.position.y = translationVec.y; // + radisu;
-  globalRabbit.position.z = translationVec.z;
-
-  updateBabyRabbits();
-  updateBearTraps();
+// with ?fogOfWar, works out what the rabbit can see from where it is now and
+// adds it to what it has explored
+function revealAroundRabbit() {
+  let tiles = getVisibleTiles(world, game.rabbit, RABBIT_SIGHT);
+  inSight = new Set(tiles.map((tile) => hexKey(tile.q, tile.r)));
+  let discovered = tiles.filter((tile) => !explored.has(hexKey(tile.q, tile.r)));
+  for (let tile of discovered) explored.add(hexKey(tile.q, tile.r));
+  minimap.updateTiles(discovered);
 }
 
-// rabbit moves to next tile upon click
-function updateRabbit() {
-  let prevX = globalRabbit.tileX;
-  let prevY = globalRabbit.tileY;
+// whether a fox is close to the rabbit or after it, or a bear is awake and
+// after it, for the music
+function isInDanger() {
+  return game.foxes.some((fox) => fox.mode == "chase" || hexDistance(fox, game.rabbit) <= DANGER_DISTANCE)
+    || game.bears.some((bear) => bear.mode == "awake" || bear.mode == "charging");
+}
 
-  if (keyState == "ArrowLeft") globalRabbit.tileX += 1;
-  if (keyState == "ArrowRight") globalRabbit.tileX += -1;
-  if (keyState == "ArrowUp") globalRabbit.tileY += 1;
-  if (keyState == "ArrowDown") globalRabbit.tileY += -1;
-  let tilePosition = XYtoPositionDict.get(XYto1D(globalRabbit.tileX, globalRabbit.tileY));
+// where the rabbit is for the chase and top down cameras: its model mid-hop
+// if it has loaded, its tile otherwise
+function getCameraFocus() {
+  if (game == undefined) return undefined;
+  let mesh = entityMeshes.get(game.rabbit);
+  let position = mesh == undefined ? getEntityMeshPosition(game.rabbit) : mesh.position;
+  return { position, angle: game.rabbit.angle };
+}
 
-  if (tilePosition == undefined) {
-    globalRabbit.tileX = prevX;
-    globalRabbit.tileY = prevY;
-    return;
+// keeps the models and hud in sync with whatever the game state reports
+function subscribeToGame(game) {
+  game.events.on("rabbitMoved", syncEntityMesh);
+  game.events.on("rabbitTurned", turnEntityMesh);
+  game.events.on("babyMoved", syncEntityMesh);
+  game.events.on("foxMoved", syncEntityMesh);
+  game.events.on("bearMoved", syncEntityMesh);
+  game.events.on("bearModeChanged", (bear) => updateEntityPose(bear));
+  game.events.on("foxTurned", turnEntityMesh);
+  game.events.on("bearTurned", turnEntityMesh);
+  if (fogOfWar) game.events.on("rabbitMoved", revealAroundRabbit);
+  game.events.on("rabbitBitten", (fox) => animator.playOnce(entityMeshes.get(fox), "attack"));
+  game.events.on("bearAttack", (bear) => animator.playOnce(entityMeshes.get(bear), "attack"));
+  for (let type of ["babyCaught", "babySwept"]) {
+    game.events.on(type, (babyRabbit) => {
+      let mesh = entityMeshes.get(babyRabbit);
+      if (mesh != undefined) worldGroup.remove(mesh);
+    });
   }
+  game.events.on("trapTriggered", ({ trap }) => updateTrapMesh(trap));
+  game.events.on("weatherChanged", (weather) => weatherEffects.setWeather(weather.type));
+  game.events.on("floodChanged", ({ tiles }) => minimap.updateTiles(tiles));
+  // sound effects, from wherever they happen
+  game.events.on("rabbitMoved", () => audio.playEffect("hop"));
+  game.events.on("babyUnited", () => audio.playEffect("rescue"));
+  game.events.on("babyCaught", () => audio.playEffect("bite"));
+  game.events.on("babySwept", () => audio.playEffect("splash"));
+  game.events.on("rabbitBitten", (fox) => audio.playEffect("bite", entityMeshes.get(fox)));
+  game.events.on("bearAttack", (bear) => audio.playEffect("bite", entityMeshes.get(bear)));
+  game.events.on("bearModeChanged", (bear) => {
+    if (bear.mode == "charging") audio.playEffect("roar", entityMeshes.get(bear));
+  });
+  game.events.on("trapTriggered", ({ trap }) => audio.playEffect("trap", entityMeshes.get(trap)));
+  game.events.on("animalSwimming", (animal) => audio.playEffect("splash", entityMeshes.get(animal)));
+  game.events.on("animalFell", ({ animal }) => audio.playEffect("fall", entityMeshes.get(animal)));
+  game.events.on("livesChanged", updateHUD);
+  game.events.on("scoreChanged", updateHUD);
+  game.events.on("gameOver", ({ status, reason }) => {
+    // a replay just stops at the end, see refreshReplayControls
+    if (phases.phase == "replaying") return;
+    let details = { reason, score: game.score };
+    if (status == "won" && campaignIndex != undefined) Object.assign(details, finishCampaignLevel());
+    phases.transition(status, details);
+  });
+}
 
-  let translationVec = positionToHexDict.get(tilePosition)[1];
-  let currPosition = globalRabbit.position;
-  //animateSphereMovement(rabbit, currPosition, translationVec);
+// adds a copy of the model for a game entity (see ENTITY_MODELS) wherever
+// the entity is
+function addEntityMesh(entity) {
+  let model = ENTITY_MODELS[entity.type];
+  let mesh = assets.get(model.path);
+  mesh.scale.multiplyScalar(model.scale);
+  entityMeshes.set(entity, mesh);
+  placeEntityMesh(entity);
+  animator.add(mesh);
+  if (!entity.caught) worldGroup.add(mesh);
+  // foxes and bears can be heard before they're seen
+  if (entity.type == "fox" || entity.type == "bear") audio.attachLoop(mesh, entity.type);
+}
 
-  globalRabbit.position.x = translationVec.x;
-  globalRabbit.position.y = translationVec.y; // + radisu;
-  globalRabbit.position.z = translationVec.z;
+// where an entity's model should stand: on top of its tile, or paddling at
+// the surface if the tile is under water
+function getEntityMeshPosition(entity) {
+  let tile = getEntityTile(game, entity);
+  let position = new Vector3(tile.position.x, tile.height, tile.position.z);
+  if (tile.water) position.y = Math.max(tile.height, world.maxHeight * world.waterHeight - 0.2);
+  if (entity.type == "trap") position.y += 0.02;
+  return position;
+}
 
-  updateBabyRabbits();
-  //updateHunterZones();
-  updateBearTraps();
+// the yaw a model needs to face the way the entity is facing. The models face
+// +z, while an entity angle of 0 faces +x.
+function getEntityYaw(entity) {
+  return (entity.angle + 90) * Math.PI / 180;
+}
 
+// snaps an entity's model onto its tile, used when the model first appears
+function placeEntityMesh(entity) {
+  let mesh = entityMeshes.get(entity);
+  mesh.position.copy(getEntityMeshPosition(entity));
+  if (entity.angle != undefined) mesh.rotation.y = getEntityYaw(entity);
+  updateEntityPose(entity, mesh);
 }
 
-// Baby rabbits disappear upon contact with rabbit
-function updateBabyRabbits() {
-  let allAdjacent = getAllAdjacentTiles(globalRabbit.tileX, globalRabbit.tileY);
+// hops an entity's model over to the tile the entity is now standing on
+function syncEntityMesh(entity) {
+  let mesh = entityMeshes.get(entity);
+  if (mesh == undefined) return;
 
-  for (let i = 0; i < babyRabbits.length; i++) {
-    let babyRabbit = babyRabbits[i];
-    // if babyRabbit is on same position as rabbit, update babyRabbitUnited array
-    if ((babyRabbit.tileX == globalRabbit.tileX) && (babyRabbit.tileY == globalRabbit.tileY)) {
-      //numOfBabiesSaved++;
-      isBabyRabbitUnited[i] = true;
-    }
-    // if the baby rabbit isn't even united, don't worry
-    if (!isBabyRabbitUnited[i]) {
-      continue;
-    }
-    let tilePositionOfGlobalRabbit = XYtoPositionDict.get(XYto1D(globalRabbit.tileX, globalRabbit.tileY));
-    if (allAdjacent == null) break;
-    if (i >= allAdjacent.length) continue;
-
-    // if you are on water tile and baby is not adjacent to you, baby should remain where it is
-    //if (!checkValidTile(tilePositionOfGlobalRabbit)) continue;
-    /*
-    console.log(allAdjacent);
-    console.log(i);
-    console.log(allAdjacent[i]);
-    console.log(XYtoPositionDict.get(allAdjacent[i]));
-    console.log(positionToHexDict.get(XYtoPositionDict.get(allAdjacent[i]))); */
-    let translationVec = positionToHexDict.get(XYtoPositionDict.get(allAdjacent[i]))[1]
-    babyRabbit.position.x = translationVec.x;
-    babyRabbit.position.y = translationVec.y;// + radius/2;
-    babyRabbit.position.z = translationVec.z;
-
-    let arr = oneDtoXY(allAdjacent[i]);
-    babyRabbit.tileX, babyRabbit.tileY = arr[0], arr[1];
-  }
-}
-  
-function updateScore() {
-  let timePassed = Math.round((Date.now() - start)/1000);
-  totalScore = totalScore + timeScore - timePassed;
-  timeScore = timePassed;
+  animator.hopTo(mesh, getEntityMeshPosition(entity));
+  if (entity.angle != undefined) animator.faceTowards(mesh, getEntityYaw(entity));
+}
 
-  let heartString = "";
-  for (let i = 0; i < lives; i++) heartString += "❤️";
-  
-  document.getElementById('totalScore').innerHTML = "Total Score: " + totalScore.toString();
-  document.getElementById('hitpoints').innerHTML = "Lives Remaining: " + heartString;
-  requestAnimationFrame(updateScore);
+// turns the model of the rabbit (or a predator looking around) in place
+function turnEntityMesh(entity) {
+  let mesh = entityMeshes.get(entity);
+  if (mesh != undefined) animator.faceTowards(mesh, getEntityYaw(entity));
 }
 
-// bear traps spin up out of the ground upon contact with rabbit
-function updateBearTraps() {
-  for (let bearTrap of bearTraps) {
-    if ((bearTrap.tileX == globalRabbit.tileX) && (bearTrap.tileY == globalRabbit.tileY)) {
-      bearTrap.translateY(10);
-    }
+function updateEntityPose(entity, mesh = entityMeshes.get(entity)) {
+  if (mesh == undefined) return;
+  // sleeping bears lie on their side
+  if (entity.type == "bear") {
+    mesh.rotation.z = entity.mode == "sleeping" ? Math.PI / 2 : 0;
   }
 }
 
-// converts x,y coordinate to 1D (dumb implementation)
-function XYto1D(x, y) {
-  return 10000 * x + y;
+// traps are simple shapes: a grey cone for bear traps, a brown wire loop for
+// snares and a dark hole for pitfalls (only shown once something falls in)
+function addTrapMesh(trap) {
+  let geometry;
+  if (trap.kind == "bearTrap") geometry = new ConeGeometry(0.4, 0.6, 16);
+  else if (trap.kind == "snare") geometry = new TorusGeometry(0.4, 0.05, 8, 24);
+  else geometry = new CircleGeometry(0.7, 6);
+
+  let color = trap.kind == "snare" ? 0x8b5a2b : 0x808080;
+  if (trap.kind == "pitfall") color = 0x1a1208;
+
+  let mesh = new Mesh(geometry, new MeshStandardMaterial({ color }));
+  if (trap.kind != "bearTrap") mesh.rotation.x = -Math.PI / 2;
+  mesh.castShadow = true;
+
+  entityMeshes.set(trap, mesh);
+  placeEntityMesh(trap);
+  updateTrapMesh(trap);
+  worldGroup.add(mesh);
 }
 
-// converts 1D coordinate to tileX, tileY (dumb implementation)
-function oneDtoXY(key) {
-  return [Math.floor(key / 10000), Math.round(mod(key, 10000))];
+// the burrow is a dark mound of earth the babies have to be brought back to
+function addBurrowMesh(burrow) {
+  let mesh = new Mesh(
+    new SphereGeometry(0.7, 16, 8, 0, Math.PI * 2, 0, Math.PI / 2),
+    new MeshStandardMaterial({ color: 0x4a3423 })
+  );
+  let tile = getEntityTile(game, burrow);
+  mesh.position.set(tile.position.x, tile.height, tile.position.z);
+  mesh.scale.y = 0.5;
+  mesh.receiveShadow = true;
+  worldGroup.add(mesh);
 }
 
-// converts index numbers for X and Y into proper coordinates for hexagons
-// actually adds the hexagons edge to edge, meaning the hexagons wiggle around
-// a little bit when being added.
-function tileToPosition(tileX, tileY) {
-  return new Vector2((tileX + (tileY % 2) * 0.5) * 1.77, tileY * 1.535);
+// sprung traps turn red and snap shut (or open up, for pitfalls)
+function updateTrapMesh(trap) {
+  let mesh = entityMeshes.get(trap);
+  mesh.visible = !trap.hidden;
+  if (!trap.triggered) return;
+
+  mesh.material.color.set(trap.kind == "pitfall" ? 0x000000 : 0xaa2222);
+  if (trap.kind == "bearTrap") mesh.scale.set(1.4, 0.4, 1.4);
+  if (trap.kind == "snare") mesh.scale.setScalar(0.6);
+}
+
+function updateHUD() {
+  let heartString = "";
+  for (let i = 0; i < game.lives; i++) heartString += "❤️";
+
+  document.getElementById('totalScore').innerHTML = "Total Score: " + game.score.toString();
+  document.getElementById('hitpoints').innerHTML = "Lives Remaining: " + heartString;
+  document.getElementById('goal').innerHTML = "Goal: " + describeGoal(game.goal);
 }
 
 // creates a single hexagonal prism object at the given height and position
@@ -810,198 +1353,30 @@ function tileToPosition(tileX, tileY) {
 // object but hex calls it and then skins the object appropriately.
 function hexGeometry(height, position) {
   let geo = new CylinderGeometry(1, 1, height, 6, 1, false);
-  geo.translate(position.x, height * 0.5, position.y);
+  geo.translate(position.x, height * 0.5, position.z);
 
   return geo;
 }
 
-// sets thresholds for texturing hexes according to height
-const STONE_HEIGHT = MAX_HEIGHT * 0.8;
-const DIRT_HEIGHT = MAX_HEIGHT * 0.65;
-const GRASS_HEIGHT = MAX_HEIGHT * 0.35;
-const SAND_HEIGHT = MAX_HEIGHT * WATER_HEIGHT + 0.01;
-const DIRT2_HEIGHT = MAX_HEIGHT * 0;
-
-// instantiates geometries storing aggregate hex groupings for each terrain
-let stoneGeo = new BoxGeometry(0, 0, 0);
-let dirtGeo = new BoxGeometry(0, 0, 0);
-let dirt2Geo = new BoxGeometry(0, 0, 0);
-let sandGeo = new BoxGeometry(0, 0, 0);
-let grassGeo = new BoxGeometry(0, 0, 0);
-
-// creates a hex at a given height and position and adds them to the proper
-// aggregate geometry that is defined above. Uses aforementioned thresholds.
-function hex(height, tilePosition) {
-  let geo = hexGeometry(height, tilePosition);
-  positionToHexDict.set(tilePosition, [geo, new Vector3(tilePosition.x, height, tilePosition.y)]);
-  if (height > STONE_HEIGHT) {
-    stoneGeo = mergeBufferGeometries([geo, stoneGeo]);
-
-    // if tile is valid and not on rabbit spawn point load in a terrain asset
-    if (checkValidTile(tilePosition) && (tilePosition.x != 0 && tilePosition.y != 0)) {
-      let randomValue = Math.random();
-      if (randomValue > 0.80) {
-        loadAsset('assets/PP_Rock_Moss_Grown_09.fbx').then((rock) => {
-          rock.scale.multiplyScalar(0.004);
-
-          let translationVec = positionToHexDict.get(tilePosition)[1];
-          rock.translateX(translationVec.x);
-          rock.translateY(translationVec.y);
-          rock.translateZ(translationVec.z);
-
-          hardTerrain.set(tilePosition, 1);
-
-          scene.add(rock);
-        })
-      }
-    }
-
-  } else if (height > DIRT_HEIGHT) {
-    dirtGeo = mergeBufferGeometries([geo, dirtGeo]);
-
-    // if tile is valid and not on rabbit spawn point load in a terrain asset
-    if (checkValidTile(tilePosition) && (tilePosition.x != 0 && tilePosition.y != 0)) {
-      let randomValue = Math.random();
-      if (randomValue > 0.90) {
-        loadAsset('assets/PP_Mushroom_Fantasy_Purple_08.fbx').then((shroom) => {
-          shroom.scale.multiplyScalar(0.08);
-
-          let translationVec = positionToHexDict.get(tilePosition)[1];
-          shroom.translateX(translationVec.x);
-          shroom.translateY(translationVec.y);
-          shroom.translateZ(translationVec.z);
-
-          scene.add(shroom);
-        })
-      } else if (randomValue > 0.80) {
-        loadAsset('assets/PP_Mushroom_Fantasy_Orange_09.fbx').then((shroom) => {
-          shroom.scale.multiplyScalar(0.04);
-
-          let translationVec = positionToHexDict.get(tilePosition)[1];
-          shroom.translateX(translationVec.x);
-          shroom.translateY(translationVec.y);
-          shroom.translateZ(translationVec.z);
-
-          scene.add(shroom);
-        })
-      }
-    }
-
-  } else if (height > GRASS_HEIGHT) {
-    grassGeo = mergeBufferGeometries([geo, grassGeo]);
-
-    // if tile is valid and not on rabbit spawn point load in a terrain asset
-    if (checkValidTile(tilePosition) && (tilePosition.x != 0 && tilePosition.y != 0)) {
-      let randomValue = Math.random();
-      if (randomValue > 0.97) {
-        loadAsset('assets/PP_Birch_Tree_05.fbx').then((tree) => {
-          tree.scale.multiplyScalar(0.015);
-
-          let translationVec = positionToHexDict.get(tilePosition)[1];
-          tree.translateX(translationVec.x);
-          tree.translateY(translationVec.y);
-          tree.translateZ(translationVec.z);
-
-          hardTerrain.set(tilePosition, 1);
-
-          scene.add(tree);
-        })
-      } else if (randomValue > 0.94) {
-        loadAsset('assets/PP_Tree_02.fbx').then((tree) => {
-          tree.scale.multiplyScalar(0.015);
-
-          let translationVec = positionToHexDict.get(tilePosition)[1];
-          tree.translateX(translationVec.x);
-          tree.translateY(translationVec.y);
-          tree.translateZ(translationVec.z);
-
-          hardTerrain.set(tilePosition, 1);
-
-          scene.add(tree);
-        })
-      } else if (randomValue > 0.92) {
-        loadAsset('assets/PP_Hyacinth_04.fbx').then((flower) => {
-          flower.scale.multiplyScalar(0.05);
-
-          let translationVec = positionToHexDict.get(tilePosition)[1];
-          flower.translateX(translationVec.x);
-          flower.translateY(translationVec.y);
-          flower.translateZ(translationVec.z);
-
-          scene.add(flower);
-        })
-      } else if (randomValue > 0.82) {
-        loadAsset('assets/PP_Grass_11.fbx').then((grass) => {
-          grass.scale.multiplyScalar(0.05);
-
-          let translationVec = positionToHexDict.get(tilePosition)[1];
-          grass.translateX(translationVec.x);
-          grass.translateY(translationVec.y);
-          grass.translateZ(translationVec.z);
-
-          scene.add(grass);
-        })
-      } else if (randomValue > 0.81) {
-        loadAsset('assets/PP_Rock_Pile_Forest_Moss_05.fbx').then((rock) => {
-          rock.scale.multiplyScalar(0.004);
-
-          let translationVec = positionToHexDict.get(tilePosition)[1];
-          rock.translateX(translationVec.x);
-          rock.translateY(translationVec.y);
-          rock.translateZ(translationVec.z);
-
-          hardTerrain.set(tilePosition, 1);
-
-          scene.add(rock);
-        })
-      } else if (randomValue > 0.71) {
-        loadAsset('assets/PP_Grass_15.fbx').then((grass) => {
-          grass.scale.multiplyScalar(0.05);
-
-          let translationVec = positionToHexDict.get(tilePosition)[1];
-          grass.translateX(translationVec.x);
-          grass.translateY(translationVec.y);
-          grass.translateZ(translationVec.z);
-
-          scene.add(grass);
-        })
-      }
-    }
-
-  } else if (height > SAND_HEIGHT) {
-    sandGeo = mergeBufferGeometries([geo, sandGeo]);
-
-    // if tile is valid and not on rabbit spawn point load in a terrain asset
-    if (checkValidTile(tilePosition) && (tilePosition.x != 0 && tilePosition.y != 0)) {
-      let randomValue = Math.random();
-      if (randomValue > 0.90) {
-        loadAsset('assets/PP_Rock_Moss_Grown_11.fbx').then((rock) => {
-          rock.scale.multiplyScalar(0.004);
-
-          let translationVec = positionToHexDict.get(tilePosition)[1];
-          rock.translateX(translationVec.x);
-          rock.translateY(translationVec.y);
-          rock.translateZ(translationVec.z);
-
-          hardTerrain.set(tilePosition, 1);
-
-          scene.add(rock);
-        })
-      }
-    }
-
-  } else if (height > DIRT2_HEIGHT) {
-    dirt2Geo = mergeBufferGeometries([geo, dirt2Geo]);
+// creates the hexes for every tile of a terrain band and merges them into
+// one aggregate geometry, replacing the band's previous mesh if there was one.
+// Tiles at height 0 are left out, there is nothing to see of them.
+function buildTerrainBand(terrain) {
+  let previous = terrainMeshes[terrain];
+  if (previous != undefined) {
+    worldGroup.remove(previous);
+    disposeObject(previous);
   }
-}
 
-// helper function for traversing Map by value
-function getByValue(map, searchValue) {
-  for (let [key, value] of map.entries()) {
-    if (value === searchValue)
-      return key;
+  let geometries = [];
+  for (let tile of world.tiles.values()) {
+    if (tile.terrain == terrain && tile.height > 0) geometries.push(hexGeometry(tile.height, tile.position));
   }
-  return undefined;
+  let geometry = geometries.length > 0 ? mergeBufferGeometries(geometries) : new BoxGeometry(0, 0, 0);
+  for (let part of geometries) part.dispose();
+
+  terrainMeshes[terrain] = hexMesh(geometry, textures[terrain]);
+  worldGroup.add(terrainMeshes[terrain]);
 }
 
 // used to return the total aggregate geometry that is rendered by the renderer.
@@ -1009,7 +1384,7 @@ function getByValue(map, searchValue) {
 function hexMesh(geo, map) {
   let mat = new MeshPhysicalMaterial({
     envMap: envmap,
-    envMapIntensity: 0.135,
+    envMapIntensity: TERRAIN_REFLECTIONS,
     flatShading: true,
     map
   });
@@ -0,0 +1,182 @@
+// turns physical inputs into game actions: turnLeft, turnRight, hop, pause,
+// camera and mute. Keys are matched by event.code, so bindings follow key
+// positions rather than layouts, and can be rebound (saved to local
+// storage). Gamepads are polled through the Gamepad API with a fixed
+// standard layout, and touch buttons (see ui/touch.js) press and release
+// actions through press and release.
+//
+// Every source is tracked as held or not, so the operating system's key
+// repeat never fires anything. Holding a turn or hop repeats it at our own
+// pace instead, the same for keys, gamepads and touch.
+import { readJSON, writeJSON } from './storage.js';
+
+// every action and how it is shown in the controls panel
+export const ACTIONS = {
+  turnLeft: "Turn left",
+  turnRight: "Turn right",
+  hop: "Hop",
+  pause: "Pause",
+  camera: "Camera",
+  mute: "Mute sound",
+};
+
+// each action can have up to two keys
+export const KEYS_PER_ACTION = 2;
+
+const DEFAULT_BINDINGS = {
+  turnLeft: ["ArrowLeft", "KeyA"],
+  turnRight: ["ArrowRight", "KeyD"],
+  hop: ["Space", "Enter"],
+  pause: ["KeyP", "Escape"],
+  camera: ["KeyC"],
+  mute: ["KeyM"],
+};
+
+const BINDINGS_KEY = "bindings";
+
+// standard gamepad layout: button index -> action
+const GAMEPAD_BUTTONS = {
+  0: "hop",
+  12: "hop",
+  14: "turnLeft",
+  15: "turnRight",
+  9: "pause",
+  3: "camera",
+  8: "mute",
+};
+// how far the left stick has to be pushed to count as a turn
+const STICK_THRESHOLD = 0.5;
+
+// held actions that repeat, and the seconds before the first repeat and
+// between later ones
+const REPEATING = new Set(["turnLeft", "turnRight", "hop"]);
+const REPEAT_DELAY = 0.4;
+const REPEAT_INTERVAL = 0.25;
+
+// calls onAction(action) for every press and repeat
+export function createInput(onAction) {
+  let bindings = loadBindings();
+  // source (e.g. "key:Space", "pad:0:14", "touch:hop") -> { action, timer }
+  let held = new Map();
+  // set while waiting for a key to rebind to
+  let capture;
+
+  function press(source, action) {
+    if (held.has(source)) return;
+    held.set(source, { action, timer: REPEAT_DELAY });
+    onAction(action);
+  }
+
+  function release(source) {
+    held.delete(source);
+  }
+
+  function getActionForKey(code) {
+    return Object.keys(bindings).find((action) => bindings[action].includes(code));
+  }
+
+  document.addEventListener("keydown", (event) => {
+    if (capture != undefined) {
+      event.preventDefault();
+      let callback = capture;
+      capture = undefined;
+      // escape gives up on rebinding
+      callback(event.code == "Escape" ? undefined : event.code);
+      return;
+    }
+    // typing into a text box shouldn't do anything else
+    if (event.target.matches?.("input, select, textarea")) return;
+
+    let action = getActionForKey(event.code);
+    if (action == undefined) return;
+    // keeps space and the arrow keys from scrolling the page
+    event.preventDefault();
+    press("key:" + event.code, action);
+  });
+  document.addEventListener("keyup", (event) => release("key:" + event.code));
+  // keys released while the window wasn't focused never send a keyup
+  window.addEventListener("blur", () => held.clear());
+
+  // polls the gamepads and repeats held actions; call once per frame
+  function update(delta) {
+    pollGamepads();
+    for (let entry of held.values()) {
+      if (!REPEATING.has(entry.action)) continue;
+      entry.timer -= delta;
+      if (entry.timer > 0) continue;
+      entry.timer += REPEAT_INTERVAL;
+      onAction(entry.action);
+    }
+  }
+
+  function pollGamepads() {
+    for (let gamepad of navigator.getGamepads?.() ?? []) {
+      if (gamepad == null || gamepad.mapping != "standard") continue;
+      let prefix = "pad:" + gamepad.index + ":";
+
+      for (let [button, action] of Object.entries(GAMEPAD_BUTTONS)) {
+        setHeld(prefix + button, action, gamepad.buttons[button]?.pressed);
+      }
+      let stick = gamepad.axes[0] ?? 0;
+      setHeld(prefix + "left", "turnLeft", stick < -STICK_THRESHOLD);
+      setHeld(prefix + "right", "turnRight", stick > STICK_THRESHOLD);
+    }
+  }
+
+  function setHeld(source, action, pressed) {
+    if (pressed) press(source, action);
+    else release(source);
+  }
+
+  // { action: [codes] } for every action
+  function getBindings() {
+    return structuredClone(bindings);
+  }
+
+  // binds key slot of action to code, taking the key away from whatever
+  // action had it
+  function setBinding(action, slot, code) {
+    for (let codes of Object.values(bindings)) {
+      let index = codes.indexOf(code);
+      if (index != -1) codes.splice(index, 1);
+    }
+    let codes = bindings[action];
+    codes[Math.min(slot, codes.length)] = code;
+    held.clear();
+    writeJSON(BINDINGS_KEY, bindings);
+  }
+
+  function resetBindings() {
+    bindings = structuredClone(DEFAULT_BINDINGS);
+    held.clear();
+    writeJSON(BINDINGS_KEY, bindings);
+  }
+
+  // hands the next key pressed (its code, or undefined if it was escape) to
+  // callback instead of treating it as input
+  function captureKey(callback) {
+    capture = callback;
+  }
+
+  return { update, press, release, getBindings, setBinding, resetBindings, captureKey };
+}
+
+// the saved bindings, with defaults for any action they don't mention (e.g.
+// one added since they were saved)
+function loadBindings() {
+  let saved = readJSON(BINDINGS_KEY) ?? {};
+  let bindings = {};
+  for (let action of Object.keys(ACTIONS)) {
+    bindings[action] = Array.isArray(saved[action]) ? saved[action].slice(0, KEYS_PER_ACTION) : [...DEFAULT_BINDINGS[action]];
+  }
+  return bindings;
+}
+
+// a key code as shown to the player, e.g. "KeyA" as "A"
+export function describeKey(code) {
+  if (code == undefined) return "-";
+  if (code.startsWith("Key")) return code.slice(3);
+  if (code.startsWith("Digit")) return code.slice(5);
+  if (code.startsWith("Arrow")) return code.slice(5) + " arrow";
+  return code;
+}
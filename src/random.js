@@ -0,0 +1,57 @@
+// seeded pseudo random number generation. Everything that used to call
+// Math.random() while building the world goes through one of these so that the
+// same seed always produces the same map, decorations and spawn points.
+
+// mulberry32: tiny, fast and good enough for a game. Returns a function that
+// behaves like Math.random(), i.e. a float in [0, 1). Its getState() is how
+// far the generator has got, a 32 bit integer; createRandom(state) carries on
+// from exactly there, which is how saved games resume it.
+export function createRandom(seed) {
+  let a = seed >>> 0;
+  function random() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+  random.getState = () => a;
+  return random;
+}
+
+// integer in [min, max)
+export function randomInt(random, min, max) {
+  return Math.floor(min + random() * (max - min));
+}
+
+// seeds are shared as plain text, so anything that isn't already a whole
+// number (e.g. ?seed=bunny) is hashed down to a 32 bit integer.
+export function parseSeed(value) {
+  if (value == null || value === "") return undefined;
+  if (/^\d+$/.test(value)) return Number(value) >>> 0;
+
+  let hash = 2166136261;
+  for (let i = 0; i < value.length; i++) {
+    hash = Math.imul(hash ^ value.charCodeAt(i), 16777619);
+  }
+  return hash >>> 0;
+}
+
+// reads ?seed= from the page url, or rolls a fresh one and writes it back so
+// the address bar can always be copied to reproduce the current world.
+export function getSeedFromURL() {
+  let params = new URLSearchParams(window.location.search);
+  let seed = parseSeed(params.get("seed"));
+
+  if (seed == undefined) {
+    seed = Math.floor(Math.random() * 4294967296);
+    setSeedInURL(seed);
+  }
+  return seed;
+}
+
+export function setSeedInURL(seed) {
+  let url = new URL(window.location.href);
+  url.searchParams.set("seed", seed);
+  window.history.replaceState(null, "", url);
+}
@@ -0,0 +1,171 @@
+// smooth movement and skeletal animation for the animal models. Game state
+// moves animals from tile to tile instantly; this turns every move into an
+// arcing hop, turns the model to face where it is going and plays the FBX
+// animation clips (idle, run, attack) through an AnimationMixer.
+import { AnimationMixer, LoopOnce, MathUtils } from 'three';
+
+// seconds a single hop takes
+const HOP_DURATION = 0.25;
+// how high a hop goes above the straight line between the two tiles; climbs
+// add the height difference so the model clears the edge of the taller hex
+const HOP_ARC = 0.5;
+// radians per second the models turn at
+const TURN_SPEED = 10;
+// seconds to blend between two clips
+const FADE_DURATION = 0.2;
+
+// clips are looked up by name since every FBX names them a little differently
+const CLIP_NAMES = {
+  idle: ["idle", "stand", "breath"],
+  run: ["run", "walk", "jump", "hop", "gallop"],
+  attack: ["attack", "bite", "hit"],
+};
+
+export function createAnimator() {
+  // mesh -> { mixer, actions, current, hop, targetYaw }
+  let animated = new Map();
+
+  // starts tracking a freshly loaded model. Its clips (if any) are found by
+  // name and it starts off idling.
+  function add(mesh) {
+    let entry = {
+      mixer: new AnimationMixer(mesh),
+      actions: {},
+      current: undefined,
+      hop: undefined,
+      targetYaw: mesh.rotation.y,
+    };
+
+    for (let [name, keywords] of Object.entries(CLIP_NAMES)) {
+      let clip = findClip(mesh.animations ?? [], keywords);
+      if (clip != undefined) entry.actions[name] = entry.mixer.clipAction(clip);
+    }
+    // models with a single unnamed clip use it for running
+    if (entry.actions.run == undefined && mesh.animations?.length > 0) {
+      entry.actions.run = entry.mixer.clipAction(mesh.animations[0]);
+    }
+    if (entry.actions.attack != undefined) {
+      entry.actions.attack.setLoop(LoopOnce);
+      entry.actions.attack.clampWhenFinished = true;
+    }
+
+    animated.set(mesh, entry);
+    play(mesh, "idle");
+  }
+
+  function remove(mesh) {
+    let entry = animated.get(mesh);
+    if (entry == undefined) return;
+    entry.mixer.stopAllAction();
+    entry.mixer.uncacheRoot(mesh);
+    animated.delete(mesh);
+  }
+
+  // crossfades to the named clip; does nothing if the model doesn't have it
+  function play(mesh, name) {
+    let entry = animated.get(mesh);
+    if (entry == undefined) return;
+
+    let action = entry.actions[name];
+    if (action == undefined || action == entry.current) return;
+
+    action.reset().play();
+    if (entry.current != undefined) entry.current.crossFadeTo(action, FADE_DURATION, false);
+    entry.current = action;
+  }
+
+  // plays a one off clip (e.g. attack) and goes back to idling afterwards
+  function playOnce(mesh, name) {
+    let entry = animated.get(mesh);
+    if (entry == undefined || entry.actions[name] == undefined) return;
+
+    play(mesh, name);
+    let duration = entry.actions[name].getClip().duration;
+    entry.returnToIdleIn = duration;
+  }
+
+  // hops the model from wherever it is to target (a Vector3), turning it to
+  // face the direction of travel
+  function hopTo(mesh, target) {
+    let entry = animated.get(mesh);
+    if (entry == undefined) {
+      mesh.position.copy(target);
+      return;
+    }
+
+    let from = mesh.position.clone();
+    let dx = target.x - from.x;
+    let dz = target.z - from.z;
+    if (dx != 0 || dz != 0) entry.targetYaw = Math.atan2(dx, dz);
+
+    entry.hop = {
+      from,
+      to: target.clone(),
+      arc: HOP_ARC + Math.max(0, target.y - from.y),
+      time: 0,
+    };
+    play(mesh, "run");
+  }
+
+  // turns the model in place to the given yaw (rotation around y, radians)
+  function faceTowards(mesh, yaw) {
+    let entry = animated.get(mesh);
+    if (entry == undefined) mesh.rotation.y = yaw;
+    else entry.targetYaw = yaw;
+  }
+
+  // advances every hop, turn and clip by delta seconds
+  function update(delta) {
+    for (let [mesh, entry] of animated) {
+      entry.mixer.update(delta);
+      updateHop(mesh, entry, delta);
+      updateTurn(mesh, entry, delta);
+
+      if (entry.returnToIdleIn != undefined) {
+        entry.returnToIdleIn -= delta;
+        if (entry.returnToIdleIn <= 0) {
+          entry.returnToIdleIn = undefined;
+          play(mesh, entry.hop ? "run" : "idle");
+        }
+      }
+    }
+  }
+
+  function updateHop(mesh, entry, delta) {
+    let hop = entry.hop;
+    if (hop == undefined) return;
+
+    hop.time = Math.min(hop.time + delta, HOP_DURATION);
+    let t = hop.time / HOP_DURATION;
+
+    mesh.position.lerpVectors(hop.from, hop.to, t);
+    mesh.position.y += hop.arc * 4 * t * (1 - t);
+
+    if (t >= 1) {
+      entry.hop = undefined;
+      if (entry.returnToIdleIn == undefined) play(mesh, "idle");
+    }
+  }
+
+  function updateTurn(mesh, entry, delta) {
+    let difference = shortestAngle(mesh.rotation.y, entry.targetYaw);
+    let step = TURN_SPEED * delta;
+    if (Math.abs(difference) <= step) mesh.rotation.y = entry.targetYaw;
+    else mesh.rotation.y += Math.sign(difference) * step;
+  }
+
+  function clear() {
+    for (let mesh of [...animated.keys()]) remove(mesh);
+  }
+
+  return { add, remove, play, playOnce, hopTo, faceTowards, update, clear };
+}
+
+function findClip(clips, keywords) {
+  return clips.find((clip) => keywords.some((keyword) => clip.name.toLowerCase().includes(keyword)));
+}
+
+// signed difference between two angles, wrapped into [-pi, pi]
+function shortestAngle(from, to) {
+  return MathUtils.euclideanModulo(to - from + Math.PI, Math.PI * 2) - Math.PI;
+}
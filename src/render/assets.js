@@ -0,0 +1,66 @@
+// loads every model once and hands out copies of it. A model is fetched and
+// parsed the first time it is asked for and kept from then on; every mesh in
+// the scene is a SkeletonUtils clone, which shares the original's geometry,
+// materials and animation clips but has a skeleton of its own so it animates
+// independently. Progress goes through the LoadingManager given, which the
+// caller can share with its other loaders to track everything at once.
+import { FBXLoader } from 'FBXLoader';
+import { clone } from 'SkeletonUtils';
+
+export function createAssetManager(loadingManager) {
+  let loader = new FBXLoader(loadingManager);
+  // path -> promise of the original model
+  let pending = new Map();
+  // path -> the original model, once it has loaded
+  let models = new Map();
+  // geometries and materials of the originals, which every copy shares
+  let shared = new Set();
+
+  // loads the model at path unless it already is, resolving to the
+  // original. Rejects with an Error naming the file if it can't be loaded;
+  // asking again after that tries again.
+  function load(path) {
+    if (!pending.has(path)) {
+      let promise = loader.loadAsync(path).then(
+        (model) => {
+          models.set(path, model);
+          model.traverse((child) => {
+            if (child.geometry) shared.add(child.geometry);
+            if (child.material) [child.material].flat().forEach((material) => shared.add(material));
+          });
+          return model;
+        },
+        (error) => {
+          pending.delete(path);
+          console.error(error);
+          throw new Error("Couldn't load " + path);
+        }
+      );
+      pending.set(path, promise);
+    }
+    return pending.get(path);
+  }
+
+  function preload(paths) {
+    return Promise.all(paths.map(load));
+  }
+
+  // a fresh copy of a model that has finished loading
+  function get(path) {
+    let model = models.get(path);
+    if (model == undefined) throw new Error(path + " hasn't been loaded");
+
+    let copy = clone(model);
+    // clone leaves the clips behind; they don't belong to any one mesh
+    copy.animations = model.animations;
+    return copy;
+  }
+
+  // whether a geometry or material belongs to a loaded model, and so mustn't
+  // be disposed along with a copy
+  function isShared(resource) {
+    return shared.has(resource);
+  }
+
+  return { load, preload, get, isShared };
+}
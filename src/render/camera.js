@@ -0,0 +1,153 @@
+// camera modes: "orbit" is the free OrbitControls rig, "chase" follows close
+// behind the rabbit and turns with it, "topDown" looks straight down on the
+// rabbit from high up for a tactical overview. Switching modes blends the
+// camera over from wherever it is rather than cutting.
+import { MathUtils, Vector3 } from 'three';
+
+export const CAMERA_MODES = ["orbit", "chase", "topDown"];
+
+// seconds a switch between two modes takes
+const BLEND_DURATION = 0.8;
+// how quickly the chase and top down cameras catch up with the rabbit; higher
+// is snappier
+const FOLLOW_RATE = 6;
+const TURN_RATE = 4;
+
+// chase camera placement relative to the rabbit
+const CHASE_DISTANCE = 7;
+const CHASE_HEIGHT = 4;
+const CHASE_LOOK_HEIGHT = 1;
+// top down camera height above the rabbit
+const TOP_DOWN_HEIGHT = 35;
+
+// how far the chase camera keeps above the terrain, and how many points
+// between the rabbit and the camera are checked for hills in the way
+const GROUND_CLEARANCE = 1;
+const CLIP_SAMPLES = 8;
+
+// groundHeight(x, z) returns the height of the terrain under a world position,
+// used to keep the chase camera out of hills
+export function createCameraController(camera, controls, groundHeight) {
+  let mode = "orbit";
+  // where the orbit camera was when we left it, to go back to
+  let orbitPose = { position: camera.position.clone(), target: controls.target.clone() };
+  // the pose a blend started from; undefined once it is done
+  let blend;
+  // smoothed rabbit facing, in radians, so the chase camera swings round
+  // instead of snapping every time the rabbit turns
+  let chaseYaw;
+
+  function setMode(newMode) {
+    if (!CAMERA_MODES.includes(newMode) || newMode == mode) return;
+    if (mode == "orbit") {
+      orbitPose = { position: camera.position.clone(), target: controls.target.clone() };
+    }
+
+    mode = newMode;
+    controls.enabled = mode == "orbit";
+    blend = {
+      position: camera.position.clone(),
+      target: controls.target.clone(),
+      time: 0,
+    };
+  }
+
+  function cycleMode() {
+    setMode(CAMERA_MODES[(CAMERA_MODES.indexOf(mode) + 1) % CAMERA_MODES.length]);
+  }
+
+  // goes back to the free camera aimed at target (a Vector3), keeping the
+  // angle and zoom it had
+  function focus(target) {
+    let offset = mode == "orbit"
+      ? camera.position.clone().sub(controls.target)
+      : orbitPose.position.clone().sub(orbitPose.target);
+
+    if (mode == "orbit" && blend == undefined) {
+      controls.target.copy(target);
+      camera.position.copy(target).add(offset);
+      return;
+    }
+    orbitPose = { position: target.clone().add(offset), target: target.clone() };
+    setMode("orbit");
+  }
+
+  // moves the camera for this frame. rabbit is { position, angle }: where the
+  // rabbit's model is and the way it faces, in degrees as in the game state.
+  // Without a rabbit (e.g. while loading) only the free camera moves.
+  function update(delta, rabbit) {
+    if (rabbit == undefined || (mode == "orbit" && blend == undefined)) {
+      controls.update();
+      return;
+    }
+
+    let goal = getGoalPose(delta, rabbit);
+    if (blend != undefined) {
+      blend.time += delta;
+      let t = MathUtils.smoothstep(blend.time / BLEND_DURATION, 0, 1);
+      camera.position.lerpVectors(blend.position, goal.position, t);
+      controls.target.lerpVectors(blend.target, goal.target, t);
+      if (blend.time >= BLEND_DURATION) blend = undefined;
+    } else {
+      let follow = 1 - Math.exp(-FOLLOW_RATE * delta);
+      camera.position.lerp(goal.position, follow);
+      controls.target.lerp(goal.target, follow);
+    }
+
+    camera.lookAt(controls.target);
+    // hand the finished blend back to the orbit controls
+    if (mode == "orbit" && blend == undefined) controls.update();
+  }
+
+  // where the current mode wants the camera to be
+  function getGoalPose(delta, rabbit) {
+    if (mode == "orbit") return orbitPose;
+
+    if (mode == "topDown") {
+      return {
+        // a hair off vertical so lookAt keeps north up
+        position: rabbit.position.clone().add(new Vector3(0, TOP_DOWN_HEIGHT, 0.01)),
+        target: rabbit.position.clone(),
+      };
+    }
+
+    // chase: behind the rabbit, turning with it
+    let yaw = rabbit.angle * Math.PI / 180;
+    if (chaseYaw == undefined) chaseYaw = yaw;
+    let difference = MathUtils.euclideanModulo(yaw - chaseYaw + Math.PI, Math.PI * 2) - Math.PI;
+    chaseYaw += difference * (1 - Math.exp(-TURN_RATE * delta));
+
+    // an angle of 0 faces +x and angles grow towards -z, see hexgrid.js
+    let behind = new Vector3(-Math.cos(chaseYaw), 0, Math.sin(chaseYaw));
+    let target = rabbit.position.clone().add(new Vector3(0, CHASE_LOOK_HEIGHT, 0));
+    let position = rabbit.position.clone()
+      .addScaledVector(behind, CHASE_DISTANCE)
+      .add(new Vector3(0, CHASE_HEIGHT, 0));
+    return { position: avoidTerrain(target, position), target };
+  }
+
+  // raises the camera until the line from target to it clears every hill
+  function avoidTerrain(target, position) {
+    for (let i = 1; i <= CLIP_SAMPLES; i++) {
+      let t = i / CLIP_SAMPLES;
+      let x = MathUtils.lerp(target.x, position.x, t);
+      let z = MathUtils.lerp(target.z, position.z, t);
+      let minimum = groundHeight(x, z) + GROUND_CLEARANCE;
+      let height = MathUtils.lerp(target.y, position.y, t);
+      // lifting the camera end by (minimum - height) / t lifts this point
+      // just clear of the ground
+      if (height < minimum) position.y += (minimum - height) / t;
+    }
+    return position;
+  }
+
+  return {
+    setMode,
+    cycleMode,
+    focus,
+    update,
+    get mode() {
+      return mode;
+    },
+  };
+}
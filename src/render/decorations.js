@@ -0,0 +1,89 @@
+// draws every decoration in the world (trees, rocks, flowers, grass) with
+// one InstancedMesh per mesh of each model, so a forest of thousands of
+// trees costs a handful of draw calls instead of one scene graph per tree.
+// models maps each decoration type to { path, scale }; the models themselves
+// come from the asset manager and must already be loaded.
+import { InstancedMesh, Matrix4 } from 'three';
+
+export function createDecorationLayer(assets, models) {
+  // type -> every mesh of the model as { geometry, material, matrix }, with
+  // matrix placing it relative to the tile it stands on
+  let parts = new Map();
+  // type -> the instanced meshes currently drawing it
+  let meshes = new Map();
+  let group;
+  let world;
+
+  function getParts(type) {
+    if (parts.has(type)) return parts.get(type);
+
+    let model = assets.get(models[type].path);
+    model.scale.multiplyScalar(models[type].scale);
+    model.updateMatrixWorld(true);
+    let list = [];
+    model.traverse((child) => {
+      if (child.isMesh) list.push({ geometry: child.geometry, material: child.material, matrix: child.matrixWorld.clone() });
+    });
+    parts.set(type, list);
+    return list;
+  }
+
+  // draws world's decorations into newGroup
+  function build(newGroup, newWorld) {
+    clear();
+    group = newGroup;
+    world = newWorld;
+    for (let type of Object.keys(models)) rebuild(type);
+  }
+
+  // redraws every decoration of one type, e.g. after the editor changed a tile
+  function rebuild(type) {
+    for (let mesh of meshes.get(type) ?? []) {
+      group.remove(mesh);
+      mesh.dispose();
+    }
+    meshes.delete(type);
+
+    let tiles = [...world.tiles.values()].filter((tile) => tile.decoration == type);
+    if (tiles.length == 0) return;
+
+    let placement = new Matrix4();
+    let list = getParts(type).map(({ geometry, material, matrix }) => {
+      let mesh = new InstancedMesh(geometry, material, tiles.length);
+      tiles.forEach((tile, i) => {
+        placement.makeTranslation(tile.position.x, tile.height, tile.position.z).multiply(matrix);
+        mesh.setMatrixAt(i, placement);
+      });
+      // the bounds three.js culls by only cover the model at the origin, not
+      // where its instances are
+      mesh.frustumCulled = false;
+      group.add(mesh);
+      return mesh;
+    });
+    meshes.set(type, list);
+  }
+
+  // redraws whatever changed on a tile that used to have the decoration
+  // previous
+  function updateTile(tile, previous) {
+    for (let type of new Set([previous, tile.decoration])) {
+      if (type != null) rebuild(type);
+    }
+  }
+
+  // removes every instanced mesh. The models' geometry and materials belong
+  // to the asset manager and are left alone.
+  function clear() {
+    for (let list of meshes.values()) {
+      for (let mesh of list) {
+        group.remove(mesh);
+        mesh.dispose();
+      }
+    }
+    meshes.clear();
+    group = undefined;
+    world = undefined;
+  }
+
+  return { build, updateTile, clear };
+}
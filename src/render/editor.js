@@ -0,0 +1,153 @@
+// the level editor's view of the scene: works out which hex is under the
+// mouse, outlines it, and shows a marker on every spawn point. Clicks (but
+// not drags, which turn the camera) report the hex through onPick.
+import {
+  ConeGeometry,
+  Group,
+  Mesh,
+  MeshBasicMaterial,
+  MeshStandardMaterial,
+  Plane,
+  Raycaster,
+  RingGeometry,
+  Vector2,
+  Vector3
+} from 'three';
+import { hexKey, positionToHex } from '../game/hexgrid.js';
+import { listSpawns } from '../game/level.js';
+import { getTile } from '../game/world.js';
+
+// marker colors for every kind of spawn point
+const MARKER_COLORS = {
+  rabbit: 0xffffff,
+  burrow: 0x4a3423,
+  babyRabbit: 0xff9ecf,
+  fox: 0xff6a00,
+  bear: 0x3b2414,
+};
+
+// a press that moves further than this many pixels is a drag, not a click
+const CLICK_TOLERANCE = 4;
+
+export function createEditorView(camera, domElement, onPick) {
+  let raycaster = new Raycaster();
+  let pointer = new Vector2();
+  // hexes below the lowest tile (or without one) are found on the ground plane
+  let ground = new Plane(new Vector3(0, 1, 0), 0);
+
+  let group;
+  let world;
+  // meshes to raycast against, i.e. the terrain
+  let targets = [];
+  let pressedAt;
+
+  let highlight = new Mesh(
+    new RingGeometry(0.8, 1, 6, 1, Math.PI / 6),
+    new MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.8 })
+  );
+  highlight.rotation.x = -Math.PI / 2;
+  highlight.visible = false;
+
+  let markers = new Group();
+
+  function onPointerDown(event) {
+    pressedAt = { x: event.clientX, y: event.clientY };
+  }
+
+  function onPointerUp(event) {
+    if (pressedAt == undefined) return;
+    let moved = Math.hypot(event.clientX - pressedAt.x, event.clientY - pressedAt.y);
+    pressedAt = undefined;
+    if (moved > CLICK_TOLERANCE || event.button != 0) return;
+
+    let hex = pick(event);
+    if (hex != undefined) onPick(hex);
+  }
+
+  function onPointerMove(event) {
+    let hex = pick(event);
+    let tile = hex == undefined ? undefined : getTile(world, hex.q, hex.r);
+    highlight.visible = tile != undefined;
+    if (tile != undefined) highlight.position.set(tile.position.x, tile.height + 0.05, tile.position.z);
+  }
+
+  // the hex under the mouse, if it is on the map
+  function pick(event) {
+    let bounds = domElement.getBoundingClientRect();
+    pointer.set(
+      (event.clientX - bounds.left) / bounds.width * 2 - 1,
+      -(event.clientY - bounds.top) / bounds.height * 2 + 1
+    );
+    raycaster.setFromCamera(pointer, camera);
+
+    let hit = raycaster.intersectObjects(targets, false)[0];
+    let point = hit?.point ?? raycaster.ray.intersectPlane(ground, new Vector3());
+    if (point == undefined) return undefined;
+
+    // a hit on the side of a prism sits right on the border between two
+    // hexes; nudge it into the prism that was hit
+    if (hit?.face != undefined && Math.abs(hit.face.normal.y) < 0.5) {
+      point = point.clone().addScaledVector(hit.face.normal, -0.1);
+    }
+    let hex = positionToHex(point.x, point.z);
+    return getTile(world, hex.q, hex.r) == undefined ? undefined : hex;
+  }
+
+  // starts editing world, drawing into newGroup
+  function attach(newGroup, newWorld) {
+    group = newGroup;
+    world = newWorld;
+    group.add(highlight);
+    group.add(markers);
+    domElement.addEventListener("pointerdown", onPointerDown);
+    domElement.addEventListener("pointerup", onPointerUp);
+    domElement.addEventListener("pointermove", onPointerMove);
+  }
+
+  function detach() {
+    domElement.removeEventListener("pointerdown", onPointerDown);
+    domElement.removeEventListener("pointerup", onPointerUp);
+    domElement.removeEventListener("pointermove", onPointerMove);
+    group?.remove(highlight);
+    group?.remove(markers);
+    clearMarkers();
+    group = undefined;
+    world = undefined;
+    targets = [];
+  }
+
+  function setPickTargets(meshes) {
+    targets = meshes;
+  }
+
+  // redraws a marker on every spawn point
+  function updateMarkers(spawns) {
+    clearMarkers();
+    for (let spawn of listSpawns(spawns)) {
+      let tile = getTile(world, spawn.q, spawn.r);
+      if (tile == undefined) continue;
+
+      let marker = new Mesh(
+        new ConeGeometry(0.35, 1, 12),
+        new MeshStandardMaterial({ color: MARKER_COLORS[spawn.type] })
+      );
+      // markers sharing a tile (the rabbit on the burrow) are stacked
+      let key = hexKey(tile.q, tile.r);
+      let below = markers.children.filter((other) => other.userData.key == key).length;
+      marker.userData.key = key;
+      marker.position.set(tile.position.x, tile.height + 0.8 + below * 1.1, tile.position.z);
+      marker.rotation.x = Math.PI;
+      markers.add(marker);
+    }
+  }
+
+  function clearMarkers() {
+    for (let marker of markers.children) {
+      marker.geometry.dispose();
+      marker.material.dispose();
+    }
+    markers.clear();
+  }
+
+  return { attach, detach, setPickTargets, updateMarkers };
+}
@@ -0,0 +1,95 @@
+// the sky over the course of a day (see game/daynight.js): the key light is
+// the sun by day and a dimmer, bluer moon by night, both crossing the sky,
+// while the background, the ambient light and the water shift from day
+// colours through dusk to night and back through dawn.
+import { Color, MathUtils } from 'three';
+import { getSunHeight } from '../game/daynight.js';
+
+// background colour at times of day, in order; colours in between blend
+const SKY_COLORS = [
+  [0, "#0b1026"],
+  [0.22, "#0b1026"],
+  [0.27, "#f4a582"],
+  [0.35, "#FFEECC"],
+  [0.65, "#FFEECC"],
+  [0.73, "#f08a5d"],
+  [0.78, "#0b1026"],
+  [1, "#0b1026"],
+].map(([time, color]) => [time, new Color(color)]);
+
+const SUN_COLOR = lightColor("#fee2d2");
+const SUN_INTENSITY = 60;
+const MOON_COLOR = lightColor("#9fb4ff");
+const MOON_INTENSITY = 15;
+// how far from the middle of the map the sun and moon are
+const ORBIT_RADIUS = 25;
+
+const DAY_AMBIENT = { color: lightColor("#fee2d2"), intensity: 0.5 };
+const NIGHT_AMBIENT = { color: lightColor("#6d7fb8"), intensity: 0.15 };
+
+const DAY_WATER = new Color("#ffffff");
+const NIGHT_WATER = new Color("#5566aa");
+
+// reflections of the (daylight) environment map fade to this much at night
+const NIGHT_REFLECTIONS = 0.3;
+
+// a fully overcast sky (see render/weather.js) is this colour and lets this
+// much of the sun or moon through
+const CLOUD_COLOR = new Color("#7d838c");
+const CLOUD_LIGHT = 0.4;
+
+// light is the PointLight and ambientLight the AmbientLight set up by
+// index.js; scene's background is recoloured
+export function createSky(scene, light, ambientLight) {
+  let background = new Color();
+  let clouds = new Color();
+
+  // sets everything up for time (a fraction of a day) under a sky overcast
+  // from 0 (clear) to 1, and tints water if given. Returns how much to scale
+  // envMapIntensity by.
+  function update(time, water, overcast = 0) {
+    let sunHeight = getSunHeight(time);
+    // 0 at night to 1 in full daylight, easing in around sunrise and sunset
+    let daylight = MathUtils.smoothstep(sunHeight, -0.1, 0.3);
+    let moonlight = MathUtils.smoothstep(-sunHeight, 0, 0.3);
+
+    // the sun rises in the east at 6:00 and sets in the west at 18:00; the
+    // moon does the same half a day later
+    let angle = 2 * Math.PI * time + (sunHeight < 0 ? Math.PI : 0);
+    light.position.set(ORBIT_RADIUS * Math.sin(angle), Math.abs(ORBIT_RADIUS * Math.cos(angle)) + 2, 10);
+    if (sunHeight >= 0) {
+      light.color.copy(SUN_COLOR);
+      light.intensity = SUN_INTENSITY * daylight;
+    } else {
+      light.color.copy(MOON_COLOR);
+      light.intensity = MOON_INTENSITY * moonlight;
+    }
+    light.intensity *= MathUtils.lerp(1, CLOUD_LIGHT, overcast);
+
+    ambientLight.color.lerpColors(NIGHT_AMBIENT.color, DAY_AMBIENT.color, daylight);
+    ambientLight.intensity = MathUtils.lerp(NIGHT_AMBIENT.intensity, DAY_AMBIENT.intensity, daylight);
+
+    // clouds are lit by the sky behind them
+    clouds.copy(CLOUD_COLOR).multiplyScalar(0.2 + 0.8 * daylight);
+    scene.background = getSkyColor(time, background).lerp(clouds, overcast);
+    water?.material.uniforms.color.value.lerpColors(NIGHT_WATER, DAY_WATER, daylight);
+
+    return MathUtils.lerp(NIGHT_REFLECTIONS, 1, daylight);
+  }
+
+  return { update };
+}
+
+// the background colour at time, written into target
+function getSkyColor(time, target) {
+  let next = SKY_COLORS.findIndex(([keyTime]) => keyTime > time);
+  if (next <= 0) return target.copy(SKY_COLORS[SKY_COLORS.length - 1][1]);
+  let [fromTime, from] = SKY_COLORS[next - 1];
+  let [toTime, to] = SKY_COLORS[next];
+  return target.lerpColors(from, to, (time - fromTime) / (toTime - fromTime));
+}
+
+// light colours are converted the same way as index.js's initLights
+function lightColor(hex) {
+  return new Color(hex).convertSRGBToLinear().convertSRGBToLinear();
+}
@@ -0,0 +1,84 @@
+// vision cones: a see-through wedge on the ground in front of every predator
+// that is looking about, as far and as wide as it can see (see
+// game/vision.js) and coloured by how alert it is, so the player can sneak
+// around them. Hills and trees still block the view inside a cone; the wedge
+// only shows where the predator is looking.
+import { CircleGeometry, DoubleSide, Mesh, MeshBasicMaterial } from 'three';
+import { HEX_WIDTH } from '../game/hexgrid.js';
+
+// wedge colour for every fox and bear mode
+const ALERT_COLORS = {
+  patrol: "#ffe14d",
+  investigate: "#ff9a3c",
+  chase: "#ff3030",
+  awake: "#ffe14d",
+  charging: "#ff3030",
+  returning: "#ff9a3c",
+};
+const OPACITY = 0.18;
+// how far above the predator's feet the wedge is drawn, to stay clear of the
+// tile top
+const LIFT = 0.05;
+
+export function createVisionCones(scene) {
+  // predator -> its wedge
+  let cones = new Map();
+  // cone width in degrees -> the unit wedge geometry for it
+  let geometries = new Map();
+
+  function getGeometry(cone) {
+    if (!geometries.has(cone)) {
+      let width = cone * Math.PI / 180;
+      // a flat wedge of radius 1 centred on +z, the way the models face
+      let geometry = new CircleGeometry(1, 24, -Math.PI / 2 - width / 2, width);
+      geometry.rotateX(-Math.PI / 2);
+      geometries.set(cone, geometry);
+    }
+    return geometries.get(cone);
+  }
+
+  // draws a wedge for every entry, { entity, mesh, vision }, and hides the
+  // rest. mesh is the predator's model, which the wedge follows.
+  function update(entries) {
+    let shown = new Set();
+    for (let { entity, mesh, vision } of entries) {
+      if (mesh == undefined) continue;
+      let cone = cones.get(entity);
+      if (cone == undefined || cone.userData.cone != vision.cone) {
+        if (cone != undefined) remove(entity);
+        cone = new Mesh(getGeometry(vision.cone), new MeshBasicMaterial({
+          transparent: true,
+          opacity: OPACITY,
+          depthWrite: false,
+          side: DoubleSide,
+        }));
+        cone.userData.cone = vision.cone;
+        cones.set(entity, cone);
+        scene.add(cone);
+      }
+      cone.position.set(mesh.position.x, mesh.position.y + LIFT, mesh.position.z);
+      cone.rotation.y = mesh.rotation.y;
+      cone.scale.setScalar(vision.range * HEX_WIDTH);
+      cone.material.color.set(ALERT_COLORS[entity.mode] ?? ALERT_COLORS.patrol);
+      cone.visible = true;
+      shown.add(entity);
+    }
+    for (let [entity, cone] of cones) {
+      if (!shown.has(entity)) cone.visible = false;
+    }
+  }
+
+  function remove(entity) {
+    let cone = cones.get(entity);
+    scene.remove(cone);
+    cone.material.dispose();
+    cones.delete(entity);
+  }
+
+  // takes every wedge away, e.g. when the world is torn down
+  function clear() {
+    for (let entity of [...cones.keys()]) remove(entity);
+  }
+
+  return { update, clear };
+}
@@ -0,0 +1,177 @@
+// what the weather (see game/weather.js) looks like: rain falling around
+// wherever the camera is looking, heavier and slanted in a storm, lightning
+// flashes, and fog closing in. Every effect fades in and out rather than
+// switching at once. None of it affects the game, so it is random from
+// Math.random rather than the game's generator.
+import {
+  AmbientLight,
+  BufferAttribute,
+  BufferGeometry,
+  Color,
+  Fog,
+  LineBasicMaterial,
+  LineSegments,
+  MathUtils
+} from 'three';
+
+// the most drops there are at once, and how many of them fall in rain
+// rather than a storm
+const MAX_DROPS = 3000;
+const RAIN_DROPS = 1200;
+// drops fall through a box this wide and tall around the camera target
+const RAIN_AREA = 50;
+const RAIN_HEIGHT = 30;
+// world units per second, and how far a storm's wind blows them sideways
+const DROP_SPEED = 30;
+const STORM_WIND = 8;
+const DROP_LENGTH = 0.6;
+
+// seconds between lightning strikes in a storm, and how long thunder takes
+// to follow
+const LIGHTNING_MIN = 4;
+const LIGHTNING_MAX = 10;
+const THUNDER_DELAY = 0.6;
+const FLASH_INTENSITY = 4;
+const FLASH_FADE = 6;
+
+// how close fog brings the far edge of what can be seen
+const FOG_NEAR = 8;
+const FOG_FAR = 60;
+// the fog's own colour, mixed half and half with the sky's
+const FOG_COLOR = new Color("#c8ccd2");
+
+// how quickly the effects fade in and out; higher is quicker
+const FADE_RATE = 0.5;
+
+// how much each weather darkens the sky, from 0 to 1
+const OVERCAST = { clear: 0, rain: 0.5, storm: 0.8, fog: 0.3 };
+
+// onThunder is called whenever lightning strikes, for the sound
+export function createWeatherEffects(scene, onThunder) {
+  let type = "clear";
+  // 0 to 1: how much rain, fog and cloud there is right now
+  let rain = 0;
+  let fog = 0;
+  let overcast = 0;
+
+  let positions = new Float32Array(MAX_DROPS * 6);
+  let geometry = new BufferGeometry();
+  geometry.setAttribute("position", new BufferAttribute(positions, 3));
+  let drops = new LineSegments(geometry, new LineBasicMaterial({ color: "#aabbcc", transparent: true, opacity: 0.5 }));
+  // the drops move with the camera, there is nothing to cull
+  drops.frustumCulled = false;
+  drops.visible = false;
+  scene.add(drops);
+  // where each drop is relative to the box, and how fast it falls
+  let offsets = Array.from({ length: MAX_DROPS }, () => ({
+    x: (Math.random() - 0.5) * RAIN_AREA,
+    y: Math.random() * RAIN_HEIGHT,
+    z: (Math.random() - 0.5) * RAIN_AREA,
+    speed: DROP_SPEED * (0.8 + Math.random() * 0.4),
+  }));
+
+  let flash = new AmbientLight("#dde6ff", 0);
+  scene.add(flash);
+  let lightningTimer = LIGHTNING_MAX;
+  let thunderTimer;
+
+  let fogEffect = new Fog(FOG_COLOR.clone(), FOG_NEAR, FOG_FAR);
+
+  // "clear", "rain", "storm" or "fog"
+  function setWeather(newType) {
+    type = newType;
+  }
+
+  // moves the rain along and fades everything towards the current weather.
+  // center is the point the camera looks at.
+  function update(delta, center) {
+    let fade = Math.min(1, delta * FADE_RATE);
+    rain += ((type == "rain" ? RAIN_DROPS / MAX_DROPS : type == "storm" ? 1 : 0) - rain) * fade;
+    fog += ((type == "fog" ? 1 : 0) - fog) * fade;
+    overcast += (OVERCAST[type] - overcast) * fade;
+
+    updateDrops(delta, center);
+    updateLightning(delta);
+    updateFog();
+  }
+
+  function updateDrops(delta, center) {
+    let count = Math.floor(rain * MAX_DROPS);
+    drops.visible = count > 0;
+    if (!drops.visible) return;
+
+    let wind = type == "storm" ? STORM_WIND : 0;
+    let slant = wind / DROP_SPEED;
+    for (let i = 0; i < count; i++) {
+      let drop = offsets[i];
+      drop.y -= drop.speed * delta;
+      drop.x += wind * delta;
+      if (drop.y < 0) drop.y += RAIN_HEIGHT;
+      if (drop.x > RAIN_AREA / 2) drop.x -= RAIN_AREA;
+
+      // each drop is a short streak from its tip back up the way it came
+      let index = i * 6;
+      positions[index] = center.x + drop.x;
+      positions[index + 1] = center.y + drop.y;
+      positions[index + 2] = center.z + drop.z;
+      positions[index + 3] = positions[index] - slant * DROP_LENGTH;
+      positions[index + 4] = positions[index + 1] + DROP_LENGTH;
+      positions[index + 5] = positions[index + 2];
+    }
+    geometry.setDrawRange(0, count * 2);
+    geometry.attributes.position.needsUpdate = true;
+  }
+
+  function updateLightning(delta) {
+    flash.intensity = Math.max(0, flash.intensity - FLASH_FADE * delta);
+    if (thunderTimer != undefined) {
+      thunderTimer -= delta;
+      if (thunderTimer <= 0) {
+        thunderTimer = undefined;
+        onThunder();
+      }
+    }
+    if (type != "storm") return;
+
+    lightningTimer -= delta;
+    if (lightningTimer > 0) return;
+    lightningTimer = MathUtils.randFloat(LIGHTNING_MIN, LIGHTNING_MAX);
+    flash.intensity = FLASH_INTENSITY;
+    thunderTimer = THUNDER_DELAY;
+  }
+
+  // the fog takes on some of the sky's colour so it blends in at every time
+  // of day
+  function updateFog() {
+    if (fog < 0.01) {
+      scene.fog = null;
+      return;
+    }
+    scene.fog = fogEffect;
+    fogEffect.color.copy(FOG_COLOR).lerp(scene.background, 0.5);
+    fogEffect.near = MathUtils.lerp(FOG_FAR * 4, FOG_NEAR, fog);
+    fogEffect.far = MathUtils.lerp(FOG_FAR * 8, FOG_FAR, fog);
+  }
+
+  // how much the weather darkens the sky, from 0 to 1
+  function getOvercast() {
+    return overcast;
+  }
+
+  // how hard it is raining, from 0 to 1
+  function getRain() {
+    return rain;
+  }
+
+  // clears the sky at once, e.g. for a new game
+  function reset() {
+    type = "clear";
+    rain = fog = overcast = 0;
+    flash.intensity = 0;
+    thunderTimer = undefined;
+    drops.visible = false;
+    scene.fog = null;
+  }
+
+  return { setWeather, update, getOvercast, getRain, reset };
+}
@@ -0,0 +1,96 @@
+// persistence in the browser: JSON in localStorage, named save slots, and
+// JSON files the player can download and pick up again. localStorage can be
+// full or switched off (e.g. in private windows), so failures are reported
+// rather than thrown from the middle of a game.
+
+// every key this game writes is prefixed so it can't clash with anything else
+// served from the same origin
+const PREFIX = "rabbitRescue.";
+const SAVE_PREFIX = PREFIX + "save.";
+
+// the slot the game saves to on its own
+export const AUTOSAVE_SLOT = "autosave";
+
+export function readJSON(key) {
+  try {
+    let text = localStorage.getItem(PREFIX + key);
+    return text == null ? undefined : JSON.parse(text);
+  } catch (error) {
+    console.warn("couldn't read " + key, error);
+    return undefined;
+  }
+}
+
+// returns false if the value couldn't be stored
+export function writeJSON(key, value) {
+  try {
+    localStorage.setItem(PREFIX + key, JSON.stringify(value));
+    return true;
+  } catch (error) {
+    console.warn("couldn't write " + key, error);
+    return false;
+  }
+}
+
+// every saved game as { name, savedAt }, newest first
+export function listSaves() {
+  let saves = [];
+  try {
+    for (let i = 0; i < localStorage.length; i++) {
+      let key = localStorage.key(i);
+      if (!key.startsWith(SAVE_PREFIX)) continue;
+      let save = readJSON(key.slice(PREFIX.length));
+      if (save != undefined) saves.push({ name: key.slice(SAVE_PREFIX.length), savedAt: save.savedAt });
+    }
+  } catch (error) {
+    console.warn("couldn't list saves", error);
+  }
+  return saves.sort((a, b) => (b.savedAt ?? "").localeCompare(a.savedAt ?? ""));
+}
+
+export function readSave(name) {
+  return readJSON("save." + name);
+}
+
+export function writeSave(name, save) {
+  return writeJSON("save." + name, save);
+}
+
+export function deleteSave(name) {
+  try {
+    localStorage.removeItem(SAVE_PREFIX + name);
+  } catch (error) {
+    console.warn("couldn't delete save " + name, error);
+  }
+}
+
+// offers data to the player as a .json file download
+export function downloadJSON(data, filename) {
+  let blob = new Blob([JSON.stringify(data)], { type: "application/json" });
+  let link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href));
+}
+
+// reads a File (e.g. from an <input type="file">) as JSON. Rejects if it
+// isn't valid JSON.
+export function readJSONFile(file) {
+  return file.text().then((text) => JSON.parse(text));
+}
+
+// asks the player to pick a .json file and reads it. Resolves with the parsed
+// JSON, or rejects if the file isn't valid JSON.
+export function pickJSONFile() {
+  return new Promise((resolve, reject) => {
+    let input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".json,application/json";
+    input.addEventListener("change", () => {
+      if (input.files.length == 0) return;
+      readJSONFile(input.files[0]).then(resolve, reject);
+    });
+    input.click();
+  });
+}
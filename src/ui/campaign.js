@@ -0,0 +1,66 @@
+// the campaign panel: every campaign level with its goal, par time and best
+// result, a button to play each unlocked one and a choice of real time or
+// turn based. What the buttons do is up to the caller, through
+// onCampaignAction(listener), called with (action, { index, mode }).
+import { CAMPAIGN, isLevelUnlocked } from '../game/campaign.js';
+import { describeGoal } from '../game/level.js';
+
+let container;
+let listeners = [];
+
+function getContainer() {
+  if (container != undefined) return container;
+
+  container = document.getElementById("campaign");
+  container.addEventListener("click", (event) => {
+    let { action, index } = event.target.dataset;
+    if (action == undefined) return;
+    if (action == "close") {
+      hideCampaign();
+      return;
+    }
+    let mode = container.querySelector('[name="turnBased"]').checked ? "turnBased" : "realtime";
+    for (let listener of listeners) listener(action, { index: Number(index), mode });
+  });
+  return container;
+}
+
+// opens (or refreshes) the panel for the given progress (see campaign.js),
+// starting out in mode
+export function showCampaign(progress, mode) {
+  let element = getContainer();
+
+  let html = "<h1>Campaign</h1><table>";
+  CAMPAIGN.forEach((level, index) => {
+    let record = progress[level.id];
+    let best = record?.completed ? "Best " + record.bestScore + " in " + record.bestTime + "s" : "";
+    html += "<tr><td>" + (index + 1) + ". " + level.name + "</td>"
+      + "<td>" + describeGoal(level.goal) + "</td>"
+      + "<td>Par " + level.parTime + "s</td>"
+      + "<td>" + best + "</td><td>"
+      + (isLevelUnlocked(progress, index)
+        ? '<button data-action="play" data-index="' + index + '">Play</button>'
+        : "Locked")
+      + "</td></tr>";
+  });
+  html += "</table>";
+
+  html += '<label>Turn based <input type="checkbox" name="turnBased"'
+    + (mode == "turnBased" ? " checked" : "") + "></label>"
+    + '<button data-action="close">Close</button>';
+
+  element.innerHTML = html;
+  element.classList.remove("hidden");
+}
+
+export function hideCampaign() {
+  getContainer().classList.add("hidden");
+}
+
+export function isCampaignOpen() {
+  return container != undefined && !container.classList.contains("hidden");
+}
+
+export function onCampaignAction(listener) {
+  listeners.push(listener);
+}
@@ -0,0 +1,63 @@
+// the controls panel: every action with the keys bound to it. Clicking a key
+// rebinds it, through onControlsAction(listener), called with (action,
+// { action, slot }) for "rebind" and with just the action for "reset".
+import { ACTIONS, KEYS_PER_ACTION, describeKey } from '../input.js';
+
+let container;
+let listeners = [];
+
+function getContainer() {
+  if (container != undefined) return container;
+
+  container = document.getElementById("controls");
+  container.addEventListener("click", (event) => {
+    let { action, input, slot } = event.target.dataset;
+    if (action == undefined) return;
+    if (action == "close") {
+      hideControls();
+      return;
+    }
+    for (let listener of listeners) listener(action, { action: input, slot: Number(slot) });
+  });
+  return container;
+}
+
+// opens (or refreshes) the panel on bindings, { action: [codes] }
+export function showControls(bindings) {
+  let element = getContainer();
+
+  let html = "<h1>Controls</h1><p class=\"error\"></p><table>";
+  for (let [action, label] of Object.entries(ACTIONS)) {
+    html += "<tr><td>" + label + "</td>";
+    for (let slot = 0; slot < KEYS_PER_ACTION; slot++) {
+      html += '<td><button data-action="rebind" data-input="' + action + '" data-slot="' + slot + '">'
+        + describeKey(bindings[action][slot]) + "</button></td>";
+    }
+    html += "</tr>";
+  }
+  html += "</table>"
+    + "<p>Gamepads: A hops, the d-pad or left stick turns, Start pauses, Y "
+    + "switches the camera and Back mutes.</p>"
+    + '<button data-action="reset">Reset to defaults</button>'
+    + '<button data-action="close">Close</button>';
+
+  element.innerHTML = html;
+  element.classList.remove("hidden");
+}
+
+export function hideControls() {
+  getContainer().classList.add("hidden");
+}
+
+export function isControlsOpen() {
+  return container != undefined && !container.classList.contains("hidden");
+}
+
+// a line of feedback at the top of the panel, e.g. asking for a key
+export function showControlsMessage(message) {
+  getContainer().querySelector(".error").textContent = message;
+}
+
+export function onControlsAction(listener) {
+  listeners.push(listener);
+}
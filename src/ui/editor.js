@@ -0,0 +1,120 @@
+// the level editor's tool panel: which tool a click on the map uses, the
+// decoration or spawn point it places, the level's name, goal and par time,
+// and buttons to export, import, play the level and leave the editor.
+// Buttons report back through onEditorAction with the action name.
+import { SPAWN_TYPES } from '../game/level.js';
+import { getDecorationTypes } from '../game/world.js';
+
+// tool name and label, in the order they are listed
+const TOOLS = [
+  ["raise", "Raise"],
+  ["lower", "Lower"],
+  ["water", "Water"],
+  ["decoration", "Decoration"],
+  ["spawn", "Spawn point"],
+  ["clear", "Clear tile"],
+];
+
+// goal type and label (see checkGameOver); rescue and survive goals also
+// take an amount, the babies to bring home or the ticks to survive
+const GOALS = [
+  ["home", "Every baby home"],
+  ["rescue", "Some babies home"],
+  ["survive", "Survive"],
+];
+
+let container;
+let listeners = [];
+
+function getContainer() {
+  if (container != undefined) return container;
+
+  container = document.getElementById("editor");
+  let html = "<h2>Level editor</h2>";
+  for (let [tool, label] of TOOLS) {
+    html += '<label><input type="radio" name="tool" value="' + tool + '"> ' + label + "</label>";
+  }
+  html += '<label>Decoration <select name="decoration">'
+    + getDecorationTypes().map((type) => '<option value="' + type + '">' + type + "</option>").join("")
+    + "</select></label>";
+  html += '<label>Spawn <select name="spawn">'
+    + Object.keys(SPAWN_TYPES).map((type) => '<option value="' + type + '">' + type + "</option>").join("")
+    + "</select></label>";
+  html += '<label>Name <input type="text" name="levelName"></label>'
+    + '<label>Goal <select name="goal">'
+    + GOALS.map(([goal, label]) => '<option value="' + goal + '">' + label + "</option>").join("")
+    + "</select></label>"
+    + '<label>Babies / ticks <input type="number" name="goalAmount" min="1" step="1"></label>'
+    + '<label>Par time (s) <input type="number" name="parTime" min="1" step="1"></label>'
+    + '<p class="error"></p>'
+    + '<button data-action="export">Export</button>'
+    + '<button data-action="import">Import</button>'
+    + '<button data-action="play">Play</button>'
+    + '<button data-action="exit">Exit</button>';
+  container.innerHTML = html;
+  container.querySelector('[name="tool"]').checked = true;
+
+  container.addEventListener("click", (event) => {
+    let action = event.target.dataset.action;
+    if (action == undefined) return;
+    for (let listener of listeners) listener(action);
+  });
+  // picking a decoration or spawn type switches to the tool that places it
+  container.addEventListener("change", (event) => {
+    if (event.target.name == "decoration" || event.target.name == "spawn") {
+      container.querySelector('[name="tool"][value="' + event.target.name + '"]').checked = true;
+    }
+  });
+  return container;
+}
+
+// opens the panel on a level's { name, goal, parTime }
+export function showEditor({ name, goal, parTime }) {
+  let element = getContainer();
+  element.querySelector('[name="levelName"]').value = name;
+  element.querySelector('[name="goal"]').value = goal.type;
+  element.querySelector('[name="goalAmount"]').value = goal.count ?? goal.ticks ?? "";
+  element.querySelector('[name="parTime"]').value = parTime ?? "";
+  showEditorMessage("");
+  element.classList.remove("hidden");
+}
+
+export function hideEditor() {
+  getContainer().classList.add("hidden");
+}
+
+// what a click on the map should do: { tool, decoration, spawn }
+export function getEditorTool() {
+  let element = getContainer();
+  return {
+    tool: element.querySelector('[name="tool"]:checked').value,
+    decoration: element.querySelector('[name="decoration"]').value,
+    spawn: element.querySelector('[name="spawn"]').value,
+  };
+}
+
+// the level's { name, goal, parTime } as filled in
+export function getLevelInfo() {
+  let element = getContainer();
+  let type = element.querySelector('[name="goal"]').value;
+  let amount = Math.max(1, Math.round(Number(element.querySelector('[name="goalAmount"]').value)) || 1);
+  let parTime = Math.round(Number(element.querySelector('[name="parTime"]').value));
+
+  let goal = { type };
+  if (type == "rescue") goal.count = amount;
+  if (type == "survive") goal.ticks = amount;
+  return {
+    name: element.querySelector('[name="levelName"]').value.trim() || "Untitled",
+    goal,
+    parTime: parTime > 0 ? parTime : undefined,
+  };
+}
+
+// a line of feedback under the tools, e.g. why the level can't be played yet
+export function showEditorMessage(message) {
+  getContainer().querySelector(".error").textContent = message;
+}
+
+export function onEditorAction(listener) {
+  listeners.push(listener);
+}
@@ -0,0 +1,142 @@
+// the minimap: a top down view of the whole world drawn on a 2D canvas in the
+// corner of the screen. The terrain is drawn once per world (and again where
+// it floods) and the animals are drawn over it every frame. Clicking it
+// reports the world position (x, z) that was clicked, which the renderer uses
+// to re-aim the camera. With a fog of war only explored tiles (and the lost
+// babies on them) are drawn, and only the predators the rabbit can see right
+// now.
+import { getTile } from '../game/world.js';
+
+// colors of the terrain bands, and of water (or a flood) on top of any of them
+const TERRAIN_COLORS = {
+  stone: "#8a8a8a",
+  dirt: "#8b6b4a",
+  grass: "#5c9a3c",
+  sand: "#d8c690",
+  dirt2: "#6b5a45",
+};
+const WATER_COLOR = "#3a7bbf";
+const UNEXPLORED_COLOR = "#1e1a16";
+
+// marker color and radius (in pixels) of everything that moves
+const MARKERS = {
+  rabbit: { color: "#ffffff", radius: 4 },
+  unitedBaby: { color: "#ff9ecf", radius: 3 },
+  lostBaby: { color: "#ffe14d", radius: 3 },
+  fox: { color: "#ff6a00", radius: 3.5 },
+  bear: { color: "#3b2414", radius: 4.5 },
+  burrow: { color: "#4a3423", radius: 4 },
+};
+
+export function createMinimap(canvas, onSelect) {
+  let context = canvas.getContext("2d");
+  // the terrain, drawn once per world and copied in before the markers
+  let terrain = document.createElement("canvas");
+  // world units to pixels
+  let scale = 1;
+  // { isExplored(tile), isVisible(hex) } once there is a fog of war
+  let fogOfWar;
+
+  canvas.addEventListener("click", (event) => {
+    let bounds = canvas.getBoundingClientRect();
+    let px = (event.clientX - bounds.left) * canvas.width / bounds.width;
+    let py = (event.clientY - bounds.top) * canvas.height / bounds.height;
+    onSelect((px - canvas.width / 2) / scale, (py - canvas.height / 2) / scale);
+  });
+
+  // redraws the terrain for a new world
+  function setWorld(world) {
+    terrain.width = canvas.width;
+    terrain.height = canvas.height;
+    scale = canvas.width / 2 / world.maxDistance;
+
+    terrain.getContext("2d").clearRect(0, 0, terrain.width, terrain.height);
+    updateTiles(world.tiles.values());
+  }
+
+  // redraws the terrain of tiles that changed, e.g. flooded ones
+  function updateTiles(tiles) {
+    let terrainContext = terrain.getContext("2d");
+    for (let tile of tiles) {
+      if (fogOfWar != undefined && !fogOfWar.isExplored(tile)) terrainContext.fillStyle = UNEXPLORED_COLOR;
+      else if (tile.water || tile.flooded) terrainContext.fillStyle = WATER_COLOR;
+      else terrainContext.fillStyle = TERRAIN_COLORS[tile.terrain];
+      hexPath(terrainContext, tile.position.x, tile.position.z);
+      terrainContext.fill();
+    }
+  }
+
+  // hides whatever the rabbit hasn't explored (isExplored(tile)) and any
+  // predator it can't see right now (isVisible(hex)). Redraw the tiles with
+  // updateTiles as they are explored.
+  function setFogOfWar(isExplored, isVisible) {
+    fogOfWar = { isExplored, isVisible };
+  }
+
+  // draws the terrain and every animal where it is now. target is the point
+  // the camera looks at ({ x, z }), shown as a ring.
+  function draw(game, target) {
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(terrain, 0, 0);
+
+    marker(game.burrow, MARKERS.burrow);
+    let isUnexplored = (entity) => fogOfWar != undefined
+      && !fogOfWar.isExplored(getTile(game.world, entity.q, entity.r));
+    let isHidden = (entity) => fogOfWar != undefined && !fogOfWar.isVisible(entity);
+    for (let babyRabbit of game.babyRabbits) {
+      if (babyRabbit.caught || isUnexplored(babyRabbit)) continue;
+      marker(babyRabbit, babyRabbit.united ? MARKERS.unitedBaby : MARKERS.lostBaby);
+    }
+    for (let predator of [...game.foxes, ...game.bears]) {
+      if (!isHidden(predator)) marker(predator, MARKERS[predator.type]);
+    }
+    marker(game.rabbit, MARKERS.rabbit);
+
+    // which way the rabbit is facing
+    let { x, y } = toCanvas(getTile(game.world, game.rabbit.q, game.rabbit.r).position);
+    let angle = game.rabbit.angle * Math.PI / 180;
+    context.strokeStyle = MARKERS.rabbit.color;
+    context.beginPath();
+    context.moveTo(x, y);
+    context.lineTo(x + Math.cos(angle) * 8, y - Math.sin(angle) * 8);
+    context.stroke();
+
+    if (target != undefined) {
+      let point = toCanvas(target);
+      context.strokeStyle = "#ffffff";
+      context.beginPath();
+      context.arc(point.x, point.y, 6, 0, Math.PI * 2);
+      context.stroke();
+    }
+
+    function marker(entity, { color, radius }) {
+      let tile = getTile(game.world, entity.q, entity.r);
+      let point = toCanvas(tile.position);
+      context.fillStyle = color;
+      context.beginPath();
+      context.arc(point.x, point.y, radius, 0, Math.PI * 2);
+      context.fill();
+    }
+  }
+
+  function toCanvas(position) {
+    return {
+      x: canvas.width / 2 + position.x * scale,
+      y: canvas.height / 2 + position.z * scale,
+    };
+  }
+
+  // outline of a hex centered on world position (x, z), pointing along z like
+  // the hex prisms in the scene
+  function hexPath(target, x, z) {
+    let center = toCanvas({ x, z });
+    target.beginPath();
+    for (let i = 0; i < 6; i++) {
+      let angle = i * Math.PI / 3;
+      target.lineTo(center.x + Math.sin(angle) * scale, center.y + Math.cos(angle) * scale);
+    }
+    target.closePath();
+  }
+
+  return { setWorld, updateTiles, setFogOfWar, draw };
+}
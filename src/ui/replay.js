@@ -0,0 +1,58 @@
+// the bar of controls shown while watching a replay: play/pause, step one
+// tick, playback speed and a way out. Buttons report back through
+// onReplayAction with the action name, and the chosen speed for "speed".
+
+export const REPLAY_SPEEDS = [0.5, 1, 2, 4, 8];
+
+let container;
+let listeners = [];
+
+function getContainer() {
+  if (container != undefined) return container;
+
+  container = document.getElementById("replayControls");
+  container.innerHTML = '<button data-action="togglePlay"></button>'
+    + '<button data-action="step">Step</button>'
+    + '<select name="speed">'
+    + REPLAY_SPEEDS.map((speed) => '<option value="' + speed + '">' + speed + "x</option>").join("")
+    + "</select>"
+    + '<span class="progress"></span>'
+    + '<button data-action="exit">Exit replay</button>';
+
+  container.addEventListener("click", (event) => {
+    let action = event.target.dataset.action;
+    if (action == undefined) return;
+    for (let listener of listeners) listener(action);
+  });
+  container.addEventListener("change", (event) => {
+    if (event.target.name != "speed") return;
+    for (let listener of listeners) listener("speed", Number(event.target.value));
+  });
+  return container;
+}
+
+export function showReplayControls() {
+  getContainer().classList.remove("hidden");
+}
+
+export function hideReplayControls() {
+  getContainer().classList.add("hidden");
+}
+
+// refreshes the controls. { tick, ticks, playing, speed, finished }: how far
+// the replay has got out of how many ticks, whether it is running and at
+// what speed, and whether it has reached the end.
+export function updateReplayControls({ tick, ticks, playing, speed, finished }) {
+  let element = getContainer();
+  element.querySelector('[data-action="togglePlay"]').textContent = playing ? "Pause" : "Play";
+  element.querySelector('[data-action="togglePlay"]').disabled = finished;
+  element.querySelector('[data-action="step"]').disabled = finished;
+  element.querySelector('[name="speed"]').value = speed;
+  element.querySelector(".progress").textContent = finished
+    ? "Replay finished at tick " + tick
+    : "Tick " + tick + (ticks != undefined ? " of " + ticks : "");
+}
+
+export function onReplayAction(listener) {
+  listeners.push(listener);
+}
@@ -0,0 +1,92 @@
+// the save and load panel: every saved game with buttons to load, export or
+// delete it, a name box to save the current game under, and a file picker to
+// import a save someone exported. What the buttons do is up to the caller,
+// through onSavesAction(listener), called with (action, { name, file }).
+import { listSaves } from '../storage.js';
+
+let container;
+let listeners = [];
+
+function getContainer() {
+  if (container != undefined) return container;
+
+  container = document.getElementById("saves");
+  container.addEventListener("click", (event) => {
+    let { action, name } = event.target.dataset;
+    if (action == undefined) return;
+    if (action == "close") {
+      hideSaves();
+      return;
+    }
+    if (action == "save") name = container.querySelector('[name="saveName"]').value.trim();
+    if (action == "save" && name == "") {
+      showSavesMessage("Give the save a name first");
+      return;
+    }
+    report(action, { name });
+  });
+
+  container.addEventListener("change", (event) => {
+    if (event.target.name != "importFile" || event.target.files.length == 0) return;
+    report("import", { file: event.target.files[0] });
+  });
+  return container;
+}
+
+function report(action, details) {
+  for (let listener of listeners) listener(action, details);
+}
+
+// opens (or refreshes) the panel. Saving is only offered while there is a
+// game in progress to save.
+export function showSaves(canSave) {
+  let element = getContainer();
+
+  let html = "<h1>Saved games</h1><p class=\"error\"></p>";
+  if (canSave) {
+    html += '<label>Name <input type="text" name="saveName" value="'
+      + new Date().toLocaleString() + '"></label>'
+      + '<button data-action="save">Save</button>';
+  }
+
+  let saves = listSaves();
+  if (saves.length == 0) html += "<p>No saved games yet.</p>";
+  html += "<table>";
+  for (let { name, savedAt } of saves) {
+    let time = savedAt == undefined ? "" : new Date(savedAt).toLocaleString();
+    html += "<tr><td>" + escapeHTML(name) + "</td><td>" + time + "</td><td>"
+      + '<button data-action="load" data-name="' + escapeHTML(name) + '">Load</button>'
+      + '<button data-action="export" data-name="' + escapeHTML(name) + '">Export</button>'
+      + '<button data-action="delete" data-name="' + escapeHTML(name) + '">Delete</button>'
+      + "</td></tr>";
+  }
+  html += "</table>";
+
+  html += '<label>Import <input type="file" name="importFile" accept=".json,application/json"></label>'
+    + '<button data-action="close">Close</button>';
+
+  element.innerHTML = html;
+  element.classList.remove("hidden");
+}
+
+export function hideSaves() {
+  getContainer().classList.add("hidden");
+}
+
+export function isSavesOpen() {
+  return container != undefined && !container.classList.contains("hidden");
+}
+
+// shows a line of feedback at the top of the panel, e.g. why an import failed
+export function showSavesMessage(message) {
+  getContainer().querySelector(".error").textContent = message;
+}
+
+export function onSavesAction(listener) {
+  listeners.push(listener);
+}
+
+// save names are typed in by the player
+function escapeHTML(text) {
+  return text.replace(/[&<>"']/g, (character) => "&#" + character.charCodeAt(0) + ";");
+}
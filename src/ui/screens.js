@@ -0,0 +1,145 @@
+// full page overlays shown for every phase that isn't plain gameplay: the
+// loading and title screens, the pause menu and the end screens. Buttons
+// report back through onScreenAction with the action name in data-action.
+import { describeKey } from '../input.js';
+
+// message can also be a function building the text, for screens that name
+// the current keys
+const SCREENS = {
+  loading: {
+    title: "Rabbit Rescue",
+    message: "Loading the forest...",
+    buttons: [],
+  },
+  title: {
+    title: "Rabbit Rescue",
+    message: () => "Your babies are lost in the forest. Find every one of them and bring them "
+      + "home to the burrow, and watch out for foxes, bears and traps. Rabbits can "
+      + "swim, slowly, but the babies won't follow you into the water, and long "
+      + "drops hurt. Rain floods the sand by the water, so get the babies up to "
+      + "high ground before it rises. Foxes and bears only come after what they "
+      + "can see or hear, so keep behind hills, trees and rocks. "
+      + describeKeys("turnLeft") + " and " + describeKeys("turnRight") + " turn, "
+      + describeKeys("hop") + " hops, " + describeKeys("pause") + " pauses, "
+      + describeKeys("mute") + " mutes and " + describeKeys("camera") + " switches between "
+      + "the free, chase and top down cameras; keys can be changed under Controls, and "
+      + "gamepads and touch screens work too. In turn based mode the animals only "
+      + "move when you do. Play through the campaign's levels, or endless "
+      + "random worlds.",
+    buttons: [["campaign", "Campaign"], ["start", "Endless (real time)"],
+      ["startTurnBased", "Endless (turn based)"], ["saves", "Load game"],
+      ["importReplay", "Watch a replay"], ["editor", "Level editor"], ["controls", "Controls"],
+      ["sound", "Sound"], ["settings", "Settings"]],
+  },
+  paused: {
+    title: "Paused",
+    message: () => "Press " + describeKeys("pause") + " to keep playing.",
+    buttons: [["resume", "Resume"], ["restart", "Restart"], ["saves", "Save / load"],
+      ["controls", "Controls"], ["sound", "Sound"], ["settings", "Settings"]],
+  },
+  won: {
+    title: "Home at last!",
+    message: "The whole family made it back to the burrow.",
+    buttons: [["restart", "Play again"], ["newWorld", "New world"], ["replay", "Watch replay"],
+      ["exportReplay", "Export replay"], ["settings", "Settings"]],
+  },
+  lost: {
+    title: "Game over",
+    message: "",
+    buttons: [["restart", "Try again"], ["newWorld", "New world"], ["replay", "Watch replay"],
+      ["exportReplay", "Export replay"], ["settings", "Settings"]],
+  },
+};
+
+// how a game was won, keyed by the reason from checkGameOver
+const WIN_MESSAGES = {
+  rescued: "Enough of the family made it back to the burrow.",
+  survived: "The family held out until the danger passed.",
+};
+
+// why a game was lost, keyed by the reason from checkGameOver
+const LOSS_MESSAGES = {
+  lives: "The rabbit ran out of lives.",
+  babyCaught: "A fox caught one of the babies.",
+  babySwept: "The flood swept one of the babies away.",
+};
+
+let container;
+let listeners = [];
+// { action: [codes] }, the keys the title and pause screens name (see
+// input.js)
+let bindings = {};
+
+function getContainer() {
+  if (container != undefined) return container;
+
+  container = document.getElementById("screen");
+  container.addEventListener("click", (event) => {
+    let action = event.target.dataset.action;
+    if (action == undefined) return;
+    for (let listener of listeners) listener(action);
+  });
+  return container;
+}
+
+// call whenever the keys change; the screens only pick them up the next time
+// they are shown
+export function setScreenBindings(newBindings) {
+  bindings = newBindings;
+}
+
+// the keys bound to an action as shown on screen, e.g. "Space or Enter"
+function describeKeys(action) {
+  let codes = bindings[action] ?? [];
+  return codes.length == 0 ? "(no key)" : codes.map(describeKey).join(" or ");
+}
+
+// shows the overlay for a phase, or hides it if the phase has none.
+// details can carry { score, reason, notes, nextLevel } for the end screens:
+// notes are extra lines to show (e.g. a new best), and nextLevel adds a
+// button to go on to the next campaign level.
+export function showScreen(phase, details = {}) {
+  let screen = SCREENS[phase];
+  let element = getContainer();
+  if (screen == undefined) {
+    element.classList.add("hidden");
+    return;
+  }
+
+  let message = typeof screen.message == "function" ? screen.message() : screen.message;
+  if (phase == "won") message = WIN_MESSAGES[details.reason] ?? message;
+  if (phase == "lost") message = LOSS_MESSAGES[details.reason] ?? message;
+
+  let html = "<h1>" + screen.title + "</h1><p>" + message + "</p>";
+  if (phase == "loading") html += '<p class="progress"></p>';
+  if (details.score != undefined && (phase == "won" || phase == "lost")) {
+    html += "<p>Final score: " + details.score + "</p>";
+  }
+  for (let note of details.notes ?? []) html += "<p>" + note + "</p>";
+  if (details.nextLevel) html += '<button data-action="nextLevel">Next level</button>';
+  for (let [action, label] of screen.buttons) {
+    html += '<button data-action="' + action + '">' + label + "</button>";
+  }
+
+  element.innerHTML = html;
+  element.classList.remove("hidden");
+}
+
+// fills in how many files have loaded so far, while the loading screen is up
+export function showLoadingProgress(loaded, total) {
+  let progress = getContainer().querySelector(".progress");
+  if (progress != null) progress.textContent = loaded + " of " + total + " files loaded";
+}
+
+// swaps the loading screen for one saying what went wrong, with a button to
+// reload the page and try again
+export function showLoadingError(message) {
+  let element = getContainer();
+  element.innerHTML = "<h1>Couldn't load the forest</h1><p>" + message + "</p>"
+    + '<button data-action="reload">Try again</button>';
+  element.classList.remove("hidden");
+}
+
+export function onScreenAction(listener) {
+  listeners.push(listener);
+}
@@ -0,0 +1,92 @@
+// the settings panel: pick a difficulty preset or tweak any value of it by
+// hand. Applying reports the new config through onSettingsApply; the caller
+// validates it and rebuilds the world.
+import { PRESETS, SETTINGS, createConfig } from '../game/config.js';
+
+let container;
+let listeners = [];
+// the preset the values in the panel started from
+let base;
+
+function getContainer() {
+  if (container != undefined) return container;
+
+  container = document.getElementById("settings");
+  container.addEventListener("click", (event) => {
+    let action = event.target.dataset.action;
+    if (action == "apply") {
+      let config = readConfig();
+      for (let listener of listeners) listener(config);
+    }
+    if (action == "cancel") hideSettings();
+  });
+
+  // picking a preset fills in its values, editing a value makes it custom
+  container.addEventListener("change", (event) => {
+    if (event.target.name == "difficulty") {
+      if (PRESETS[event.target.value] == undefined) return;
+      base = event.target.value;
+      fillValues(PRESETS[base]);
+    } else {
+      container.querySelector('[name="difficulty"]').value = "custom";
+    }
+  });
+  return container;
+}
+
+// opens the panel showing config. errors, if any, are listed above the form
+// (e.g. values that had to be clamped the last time settings were applied).
+export function showSettings(config, errors = []) {
+  let element = getContainer();
+  base = config.base;
+
+  let html = "<h1>Settings</h1>";
+  for (let error of errors) html += '<p class="error">' + error + "</p>";
+
+  html += '<label>Difficulty <select name="difficulty">';
+  for (let name of [...Object.keys(PRESETS), "custom"]) {
+    html += '<option value="' + name + '">' + name[0].toUpperCase() + name.slice(1) + "</option>";
+  }
+  html += "</select></label>";
+
+  for (let [key, setting] of Object.entries(SETTINGS)) {
+    html += "<label>" + setting.label + ' <input type="number" name="' + key + '"'
+      + ' min="' + setting.min + '" max="' + setting.max + '"'
+      + ' step="' + (setting.integer ? 1 : 0.01) + '"></label>';
+  }
+  html += '<button data-action="apply">Apply</button><button data-action="cancel">Cancel</button>';
+
+  element.innerHTML = html;
+  element.querySelector('[name="difficulty"]').value = config.difficulty;
+  fillValues(config);
+  element.classList.remove("hidden");
+}
+
+export function hideSettings() {
+  getContainer().classList.add("hidden");
+}
+
+export function isSettingsOpen() {
+  return container != undefined && !container.classList.contains("hidden");
+}
+
+export function onSettingsApply(listener) {
+  listeners.push(listener);
+}
+
+function fillValues(values) {
+  for (let key of Object.keys(SETTINGS)) {
+    container.querySelector('[name="' + key + '"]').value = values[key];
+  }
+}
+
+// the config described by the form. Values are passed through as typed;
+// validateConfig decides what to do with anything out of range.
+function readConfig() {
+  let overrides = {};
+  for (let key of Object.keys(SETTINGS)) {
+    let input = container.querySelector('[name="' + key + '"]');
+    overrides[key] = input.value == "" ? NaN : Number(input.value);
+  }
+  return createConfig(base, overrides);
+}
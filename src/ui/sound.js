@@ -0,0 +1,56 @@
+// the sound panel: master, music and effects volume and a mute switch. Every
+// change is reported straight away through onSoundChange(listener), called
+// with the whole { volume, music, effects, muted }, volumes from 0 to 1.
+
+// setting name and label for every slider
+const SLIDERS = [
+  ["volume", "Volume"],
+  ["music", "Music"],
+  ["effects", "Effects"],
+];
+
+let container;
+let listeners = [];
+
+function getContainer() {
+  if (container != undefined) return container;
+
+  container = document.getElementById("sound");
+  let html = "<h1>Sound</h1>";
+  for (let [name, label] of SLIDERS) {
+    html += "<label>" + label + ' <input type="range" name="' + name + '" min="0" max="100"></label>';
+  }
+  html += '<label>Mute <input type="checkbox" name="muted"></label>'
+    + '<button data-action="close">Close</button>';
+  container.innerHTML = html;
+
+  container.addEventListener("input", () => {
+    let settings = { muted: container.querySelector('[name="muted"]').checked };
+    for (let [name] of SLIDERS) settings[name] = container.querySelector('[name="' + name + '"]').value / 100;
+    for (let listener of listeners) listener(settings);
+  });
+  container.addEventListener("click", (event) => {
+    if (event.target.dataset.action == "close") hideSound();
+  });
+  return container;
+}
+
+// opens (or refreshes) the panel on the current settings
+export function showSound(settings) {
+  let element = getContainer();
+  for (let [name] of SLIDERS) element.querySelector('[name="' + name + '"]').value = Math.round(settings[name] * 100);
+  element.querySelector('[name="muted"]').checked = settings.muted;
+  element.classList.remove("hidden");
+}
+
+export function hideSound() {
+  getContainer().classList.add("hidden");
+}
+
+export function isSoundOpen() {
+  return container != undefined && !container.classList.contains("hidden");
+}
+
+export function onSoundChange(listener) {
+  listeners.push(listener);
+}
@@ -0,0 +1,50 @@
+// performance readout for measuring big maps: three.js' frame rate panel
+// plus the draw calls and triangles of the last frame, the number of tiles
+// and how long the world's meshes took to build.
+import Stats from 'Stats';
+
+// seconds between refreshes of the text, so it stays readable
+const REFRESH_SECONDS = 0.5;
+
+// shows the readout in element. renderer is the WebGLRenderer to measure;
+// its info is reset by hand once per frame since the water's reflection
+// renders would otherwise wipe the counts halfway through.
+export function createStats(element, renderer) {
+  let stats = new Stats();
+  // the panel positions itself at the top left; let the element place it
+  stats.dom.style.position = "static";
+  let text = document.createElement("pre");
+  element.append(stats.dom, text);
+  element.classList.remove("hidden");
+  renderer.info.autoReset = false;
+
+  let tiles = 0;
+  let buildTime = 0;
+  let sinceRefresh = REFRESH_SECONDS;
+
+  function beginFrame() {
+    renderer.info.reset();
+    stats.begin();
+  }
+
+  function endFrame(delta) {
+    stats.end();
+    sinceRefresh += delta;
+    if (sinceRefresh < REFRESH_SECONDS) return;
+    sinceRefresh = 0;
+
+    let { calls, triangles } = renderer.info.render;
+    text.textContent = "draw calls " + calls + "\n"
+      + "triangles " + triangles.toLocaleString() + "\n"
+      + "tiles " + tiles.toLocaleString() + "\n"
+      + "world built in " + Math.round(buildTime) + " ms";
+  }
+
+  // records the size of the world just built and how long it took, in ms
+  function setWorld(world, milliseconds) {
+    tiles = world.tiles.size;
+    buildTime = milliseconds;
+  }
+
+  return { beginFrame, endFrame, setWorld };
+}
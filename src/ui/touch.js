@@ -0,0 +1,57 @@
+// on-screen buttons for playing on a touch screen: turn left, hop and turn
+// right along the bottom, pause and camera at the side. They only appear once
+// the page is touched, or straight away on devices whose main pointer is a
+// finger. Presses and releases are reported through onTouchInput(listener),
+// called with (action, pressed).
+
+// action and label of every button
+const BUTTONS = [
+  ["turnLeft", "⟲"],
+  ["hop", "Hop"],
+  ["turnRight", "⟳"],
+  ["pause", "❚❚"],
+  ["camera", "Cam"],
+];
+
+let container;
+let listeners = [];
+
+function getContainer() {
+  if (container != undefined) return container;
+
+  container = document.getElementById("touchControls");
+  container.innerHTML = BUTTONS
+    .map(([action, label]) => '<button data-action="' + action + '">' + label + "</button>")
+    .join("");
+
+  let report = (event, pressed) => {
+    let action = event.target.dataset.action;
+    if (action == undefined) return;
+    // stops the press turning into a click, a scroll or a zoom
+    event.preventDefault();
+    for (let listener of listeners) listener(action, pressed);
+  };
+  container.addEventListener("pointerdown", (event) => report(event, true));
+  container.addEventListener("pointerup", (event) => report(event, false));
+  container.addEventListener("pointercancel", (event) => report(event, false));
+  container.addEventListener("pointerleave", (event) => report(event, false), true);
+  return container;
+}
+
+export function showTouchControls() {
+  getContainer().classList.remove("hidden");
+}
+
+export function hideTouchControls() {
+  getContainer().classList.add("hidden");
+}
+
+// shows the buttons now on touch first devices, or on the first touch
+export function enableTouchControls() {
+  if (window.matchMedia("(pointer: coarse)").matches) showTouchControls();
+  else window.addEventListener("touchstart", showTouchControls, { once: true });
+}
+
+export function onTouchInput(listener) {
+  listeners.push(listener);
+}
@@ -0,0 +1,96 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { BEAR_ATTACK_DAMAGE, HEARING_RADIUS, TERRITORY_RADIUS, createBear } from '../src/game/bears.js';
+import { hexEquals } from '../src/game/hexgrid.js';
+import { STARTING_LIVES } from '../src/game/scoring.js';
+import { playerAction, tickGame } from '../src/game/state.js';
+import { getTile } from '../src/game/world.js';
+import { createRandom } from '../src/random.js';
+import { collectEvents, createEmptyGame, createFlatWorld } from './helpers.js';
+
+// times of day, see daynight.js
+const MORNING = 0.3;
+const MIDNIGHT = 0;
+
+// a game with one bear living at (q, r), on a world big enough for the bear
+// to live out of sight of the rabbit
+function createBearGame(q, r, options = {}) {
+  let state = createEmptyGame(options, createFlatWorld(20));
+  assert.ok(getTile(state.world, q, r) != undefined);
+  let bear = createBear(0, { q, r }, createRandom(1));
+  state.bears.push(bear);
+  return { state, bear };
+}
+
+describe("bears", () => {
+  it("sleep all day however long they have slept", () => {
+    let { state, bear } = createBearGame(4, 0, { dayStart: MORNING });
+    bear.timer = 1;
+    for (let i = 0; i < 20; i++) tickGame(state);
+    assert.equal(bear.mode, "sleeping");
+  });
+
+  it("wake up on their own at night", () => {
+    let { state, bear } = createBearGame(TERRITORY_RADIUS + 4, 0, { dayStart: MIDNIGHT });
+    bear.timer = 2;
+    tickGame(state);
+    assert.equal(bear.mode, "sleeping");
+    tickGame(state);
+    assert.equal(bear.mode, "awake");
+  });
+
+  it("wake up to a hop nearby and turn towards it", () => {
+    // in real time so the bear doesn't get a tick to charge straight away
+    let { state, bear } = createBearGame(HEARING_RADIUS + 1, -1, { dayStart: MORNING, mode: "realtime" });
+    bear.angle = 0;
+    // facing 60 degrees the rabbit hops to 1, -1, within earshot
+    playerAction(state, "hop");
+    assert.equal(bear.mode, "awake");
+    assert.equal(bear.angle, 180);
+  });
+
+  it("sleep through a hop further away", () => {
+    let { state, bear } = createBearGame(HEARING_RADIUS + 3, -1, { dayStart: MORNING, mode: "realtime" });
+    playerAction(state, "hop");
+    assert.equal(bear.mode, "sleeping");
+  });
+
+  it("charge a rabbit they can see in their territory, then go home", () => {
+    let { state, bear } = createBearGame(3, 0, { dayStart: MORNING });
+    bear.mode = "awake";
+    bear.timer = 10;
+    bear.angle = 180;
+    let modes = [];
+    state.events.on("bearModeChanged", () => modes.push(bear.mode));
+    let attacks = collectEvents(state, "bearAttack");
+
+    // spots the rabbit, then covers two tiles a tick until it gets there
+    for (let i = 0; i < 3; i++) tickGame(state);
+    assert.deepEqual(modes, ["charging", "returning"]);
+    assert.equal(attacks.length, 1);
+    assert.equal(state.lives, STARTING_LIVES - BEAR_ATTACK_DAMAGE);
+
+    while (bear.mode == "returning") tickGame(state);
+    assert.ok(hexEquals(bear, bear.home));
+    assert.equal(bear.mode, "awake");
+  });
+
+  it("give up the chase once the rabbit leaves their territory", () => {
+    let { state, bear } = createBearGame(TERRITORY_RADIUS, 0, { dayStart: MORNING });
+    bear.mode = "charging";
+    state.rabbit.q = -2;
+    tickGame(state);
+    assert.equal(bear.mode, "returning");
+  });
+
+  it("look the other way while awake and nod off again by day", () => {
+    let { state, bear } = createBearGame(TERRITORY_RADIUS + 4, 0, { dayStart: MORNING });
+    bear.mode = "awake";
+    bear.timer = 2;
+    bear.angle = 0;
+    tickGame(state);
+    assert.equal(bear.angle, 180);
+    tickGame(state);
+    assert.equal(bear.mode, "sleeping");
+  });
+});
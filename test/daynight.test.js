@@ -0,0 +1,69 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { DAY_START, DAY_TICKS, formatClock, getSunHeight, getTimeOfDay, isNight } from '../src/game/daynight.js';
+import { createFox, getFoxVision } from '../src/game/foxes.js';
+import { hexDistance } from '../src/game/hexgrid.js';
+import { tickGame } from '../src/game/state.js';
+import { createEmptyGame } from './helpers.js';
+
+describe("the time of day", () => {
+  it("starts in the morning and goes round once every DAY_TICKS ticks", () => {
+    let state = createEmptyGame();
+    assert.equal(getTimeOfDay(state), DAY_START);
+    assert.equal(getTimeOfDay(state, DAY_TICKS / 2), DAY_START + 0.5);
+    assert.ok(Math.abs(getTimeOfDay(state, DAY_TICKS) - DAY_START) < 1e-9);
+    assert.ok(Math.abs(getTimeOfDay(state, DAY_TICKS * 3 + 1) - getTimeOfDay(state, 1)) < 1e-9);
+  });
+
+  it("starts whenever the game says", () => {
+    let state = createEmptyGame({ dayStart: 0.75 });
+    assert.equal(getTimeOfDay(state), 0.75);
+    assert.equal(getTimeOfDay(state, DAY_TICKS / 4), 0);
+  });
+
+  it("puts the sun lowest at midnight and highest at noon", () => {
+    assert.equal(getSunHeight(0), -1);
+    assert.equal(getSunHeight(0.5), 1);
+    assert.ok(Math.abs(getSunHeight(0.25)) < 1e-9);
+  });
+
+  it("is night from 6 in the evening to 6 in the morning", () => {
+    let state = createEmptyGame({ dayStart: 0 });
+    assert.equal(isNight(state), true);
+    for (let [time, night] of [[0.2, true], [0.3, false], [0.7, false], [0.8, true]]) {
+      state.dayStart = time;
+      assert.equal(isNight(state), night, formatClock(time));
+    }
+  });
+
+  it("reads as a 24 hour clock", () => {
+    assert.equal(formatClock(DAY_START), "07:12");
+    assert.equal(formatClock(0), "00:00");
+    assert.equal(formatClock(0.5), "12:00");
+    assert.equal(formatClock(0.999), "23:58");
+  });
+});
+
+describe("foxes at night", () => {
+  it("see further", () => {
+    let day = getFoxVision(createEmptyGame({ dayStart: 0.5 }));
+    let night = getFoxVision(createEmptyGame({ dayStart: 0 }));
+    assert.ok(night.range > day.range);
+    assert.equal(night.cone, day.cone);
+  });
+
+  it("close in quicker", () => {
+    // how far a fox three hops off gets towards the rabbit in two ticks
+    function chase(dayStart) {
+      let state = createEmptyGame({ dayStart });
+      let fox = createFox(0, { q: 3, r: 0 });
+      fox.angle = 180;
+      state.foxes.push(fox);
+      tickGame(state);
+      tickGame(state);
+      return 3 - hexDistance(fox, state.rabbit);
+    }
+    assert.equal(chase(0.5), 2);
+    assert.equal(chase(0), 3);
+  });
+});
@@ -0,0 +1,74 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createEmitter } from '../src/game/events.js';
+import { advanceChain, getChainTail, joinChain, splitChain } from '../src/game/followers.js';
+
+// just the parts of a game the chain looks at
+function createChainState(count) {
+  return {
+    events: createEmitter(),
+    chain: [],
+    trail: [],
+    babyRabbits: Array.from({ length: count }, (_, id) => (
+      { type: "babyRabbit", id, q: 10 + id, r: 0, united: false, caught: false }
+    )),
+  };
+}
+
+describe("followers", () => {
+  it("puts the newest baby at the front of the chain", () => {
+    let state = createChainState(2);
+    joinChain(state, state.babyRabbits[0]);
+    joinChain(state, state.babyRabbits[1]);
+    assert.deepEqual(state.chain.map((babyRabbit) => babyRabbit.id), [1, 0]);
+    assert.ok(state.babyRabbits.every((babyRabbit) => babyRabbit.united));
+    assert.equal(getChainTail(state), state.babyRabbits[0]);
+  });
+
+  it("retraces the rabbit's path", () => {
+    let state = createChainState(3);
+    for (let babyRabbit of state.babyRabbits) joinChain(state, babyRabbit);
+    let moved = [];
+    state.events.on("babyMoved", (babyRabbit) => moved.push(babyRabbit.id));
+
+    // the rabbit hops along the row from 0, 0 to 5, 0
+    for (let q = 0; q < 5; q++) advanceChain(state, { q, r: 0 });
+
+    // the i-th baby stands on the i-th most recent tile the rabbit hopped off
+    assert.deepEqual(state.chain.map((babyRabbit) => [babyRabbit.q, babyRabbit.r]), [[4, 0], [3, 0], [2, 0]]);
+    assert.equal(state.trail.length, 3);
+    assert.ok(moved.length > 0);
+  });
+
+  it("keeps the trail no longer than the chain", () => {
+    let state = createChainState(1);
+    joinChain(state, state.babyRabbits[0]);
+    for (let q = 0; q < 10; q++) advanceChain(state, { q, r: 0 });
+    assert.deepEqual(state.trail, [{ q: 9, r: 0 }]);
+  });
+
+  it("drops a baby and everyone behind it", () => {
+    let state = createChainState(3);
+    for (let babyRabbit of state.babyRabbits) joinChain(state, babyRabbit);
+    for (let q = 0; q < 3; q++) advanceChain(state, { q, r: 0 });
+    let splits = [];
+    state.events.on("chainSplit", (split) => splits.push(split));
+
+    let middle = state.chain[1];
+    let lost = splitChain(state, middle);
+
+    assert.deepEqual(lost.map((babyRabbit) => babyRabbit.id), [1, 0]);
+    assert.deepEqual(state.chain.map((babyRabbit) => babyRabbit.id), [2]);
+    assert.ok(lost.every((babyRabbit) => !babyRabbit.united));
+    assert.equal(state.trail.length, 1);
+    assert.equal(splits.length, 1);
+    assert.equal(splits[0].babyRabbit, middle);
+  });
+
+  it("does nothing for a baby that isn't in the chain", () => {
+    let state = createChainState(2);
+    joinChain(state, state.babyRabbits[0]);
+    assert.deepEqual(splitChain(state, state.babyRabbits[1]), []);
+    assert.equal(state.chain.length, 1);
+  });
+});
@@ -0,0 +1,58 @@
+// worlds and games for the tests. The browser builds worlds from simplex
+// noise, here the terrain is either perfectly flat or rolled from a cheap
+// seeded noise so the tests don't need anything from the CDN.
+import { createGameState } from '../src/game/state.js';
+import { generateWorld, getTile, setTileDecoration } from '../src/game/world.js';
+import { createRandom } from '../src/random.js';
+
+// a flat grass world with nothing standing on it
+export function createFlatWorld(length = 10) {
+  let world = generateWorld({
+    length,
+    maxHeight: 6,
+    waterHeight: 0.1,
+    random: createRandom(1),
+    noise2D: () => 0,
+  });
+  for (let tile of world.tiles.values()) setTileDecoration(tile, null);
+  return world;
+}
+
+// rolling hills with trees, rocks and lakes, the same for the same seed
+export function createNoisyWorld(seed, { length = 40, maxHeight = 8, waterHeight = 0.15 } = {}) {
+  let random = createRandom(seed);
+  let phase = random() * 10;
+  return generateWorld({
+    length,
+    maxHeight,
+    waterHeight,
+    random,
+    noise2D: (x, y) => Math.sin(x * 3 + phase) * Math.cos(y * 2 - phase),
+  });
+}
+
+// puts a rock on the tile at (q, r)
+export function blockTile(world, q, r) {
+  setTileDecoration(getTile(world, q, r), "rockPile");
+}
+
+// a turn based game with nothing in it but the rabbit, which only ends if the
+// rabbit runs out of lives; tests add whatever animals they need. It is played
+// on a small flat world unless given another.
+export function createEmptyGame(options = {}, world = createFlatWorld()) {
+  return createGameState(world, createRandom(1), {
+    babyRabbits: 0,
+    foxes: 0,
+    bears: 0,
+    mode: "turnBased",
+    goal: { type: "survive", ticks: Infinity },
+    ...options,
+  });
+}
+
+// every event of the given type the game emits from now on
+export function collectEvents(state, type) {
+  let events = [];
+  state.events.on(type, (payload) => events.push(payload));
+  return events;
+}
@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  DIRECTIONS,
+  angleToDirection,
+  axialToOffset,
+  directionToAngle,
+  hexDistance,
+  hexLine,
+  hexNeighbor,
+  hexNeighbors,
+  hexRing,
+  hexToPosition,
+  hexesInRange,
+  mod,
+  offsetToAxial,
+  positionToHex
+} from '../src/game/hexgrid.js';
+
+describe("hexgrid", () => {
+  it("puts every neighbour one hop away", () => {
+    let center = { q: 2, r: -3 };
+    for (let neighbor of hexNeighbors(center)) assert.equal(hexDistance(center, neighbor), 1);
+  });
+
+  it("measures distance in hops", () => {
+    assert.equal(hexDistance({ q: 0, r: 0 }, { q: 3, r: 0 }), 3);
+    assert.equal(hexDistance({ q: 0, r: 0 }, { q: 2, r: -5 }), 5);
+    assert.equal(hexDistance({ q: -2, r: 1 }, { q: 1, r: 1 }), 3);
+  });
+
+  it("turns facing angles into directions and back", () => {
+    for (let direction = 0; direction < 6; direction++) {
+      assert.equal(angleToDirection(directionToAngle(direction)), direction);
+    }
+    assert.equal(angleToDirection(-60), 5);
+    assert.equal(angleToDirection(370), 0);
+    assert.deepEqual(hexNeighbor({ q: 0, r: 0 }, 7), DIRECTIONS[1]);
+  });
+
+  it("points every direction at its facing angle", () => {
+    for (let direction = 0; direction < 6; direction++) {
+      let position = hexToPosition(DIRECTIONS[direction].q, DIRECTIONS[direction].r);
+      let angle = Math.atan2(-position.z, position.x) * 180 / Math.PI;
+      // rows are a touch taller than a perfect hex, so only roughly
+      let offCenter = Math.abs(mod(angle - directionToAngle(direction) + 180, 360) - 180);
+      assert.ok(offCenter < 0.5);
+    }
+  });
+
+  it("finds the hex under a world position", () => {
+    for (let hex of hexesInRange({ q: 0, r: 0 }, 4)) {
+      let position = hexToPosition(hex.q, hex.r);
+      assert.deepEqual(positionToHex(position.x, position.z), hex);
+      assert.deepEqual(positionToHex(position.x + 0.3, position.z - 0.3), hex);
+    }
+  });
+
+  it("counts rings and ranges", () => {
+    assert.equal(hexRing({ q: 0, r: 0 }, 0).length, 1);
+    for (let radius = 1; radius <= 5; radius++) {
+      let ring = hexRing({ q: 1, r: 1 }, radius);
+      assert.equal(ring.length, 6 * radius);
+      assert.ok(ring.every((hex) => hexDistance(hex, { q: 1, r: 1 }) == radius));
+      assert.equal(hexesInRange({ q: 1, r: 1 }, radius).length, 1 + 3 * radius * (radius + 1));
+    }
+  });
+
+  it("draws lines hop by hop", () => {
+    let a = { q: -2, r: 1 };
+    let b = { q: 3, r: -2 };
+    let line = hexLine(a, b);
+    assert.equal(line.length, hexDistance(a, b) + 1);
+    assert.deepEqual(line[0], a);
+    assert.deepEqual(line[line.length - 1], b);
+    for (let i = 1; i < line.length; i++) assert.equal(hexDistance(line[i - 1], line[i]), 1);
+  });
+
+  it("converts to offset coordinates and back", () => {
+    for (let hex of hexesInRange({ q: 0, r: 0 }, 3)) {
+      let { col, row } = axialToOffset(hex.q, hex.r);
+      assert.deepEqual(offsetToAxial(col, row), hex);
+    }
+  });
+});
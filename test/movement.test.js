@@ -0,0 +1,120 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { joinChain } from '../src/game/followers.js';
+import { hexEquals } from '../src/game/hexgrid.js';
+import { MAX_CLIMB, SAFE_DROP, getMoveBlocker, getReachableNeighbors, isFall } from '../src/game/movement.js';
+import { STARTING_LIVES } from '../src/game/scoring.js';
+import { playerAction } from '../src/game/state.js';
+import { getTile, getWaterLevel, setTileHeight } from '../src/game/world.js';
+import { blockTile, collectEvents, createEmptyGame, createFlatWorld } from './helpers.js';
+
+// the tile the rabbit hops onto first, facing 60 degrees from the burrow
+const AHEAD = { q: 1, r: -1 };
+
+function tile(height, extra = {}) {
+  return { height, blocked: false, flooded: false, water: false, ...extra };
+}
+
+// sets the tile ahead of the rabbit to the given height above (or below) the
+// burrow
+function raiseAhead(state, step) {
+  let from = getTile(state.world, 0, 0);
+  setTileHeight(state.world, getTile(state.world, AHEAD.q, AHEAD.r), from.height + step);
+}
+
+describe("movement rules", () => {
+  it("names what is in the way", () => {
+    assert.equal(getMoveBlocker(tile(1), undefined), "edge");
+    assert.equal(getMoveBlocker(tile(1), tile(1, { blocked: true })), "obstacle");
+    assert.equal(getMoveBlocker(tile(1), tile(1, { flooded: true })), "flooded");
+    assert.equal(getMoveBlocker(tile(1), tile(1 + MAX_CLIMB + 0.1)), "cliff");
+  });
+
+  it("lets animals climb a step, drop any distance and swim", () => {
+    assert.equal(getMoveBlocker(tile(1), tile(1 + MAX_CLIMB)), undefined);
+    assert.equal(getMoveBlocker(tile(5), tile(0)), undefined);
+    assert.equal(getMoveBlocker(tile(1), tile(0, { water: true })), undefined);
+  });
+
+  it("only counts drops higher than SAFE_DROP as falls", () => {
+    assert.equal(isFall(tile(SAFE_DROP), tile(0)), false);
+    assert.equal(isFall(tile(SAFE_DROP + 0.1), tile(0)), true);
+    assert.equal(isFall(tile(0), tile(SAFE_DROP + 1)), false);
+  });
+
+  it("leaves out blocked neighbours", () => {
+    let world = createFlatWorld();
+    blockTile(world, AHEAD.q, AHEAD.r);
+    let neighbors = getReachableNeighbors(world, getTile(world, 0, 0));
+    assert.equal(neighbors.length, 5);
+    assert.ok(!neighbors.some((neighbor) => hexEquals(neighbor, AHEAD)));
+  });
+});
+
+describe("hopping across the terrain", () => {
+  it("won't climb a cliff", () => {
+    let state = createEmptyGame();
+    raiseAhead(state, MAX_CLIMB + 0.5);
+    let blocked = collectEvents(state, "rabbitBlocked");
+    assert.equal(playerAction(state, "hop"), false);
+    assert.ok(hexEquals(state.rabbit, { q: 0, r: 0 }));
+    assert.equal(blocked[0].reason, "cliff");
+  });
+
+  it("won't hop onto flooded ground", () => {
+    let state = createEmptyGame();
+    getTile(state.world, AHEAD.q, AHEAD.r).flooded = true;
+    let blocked = collectEvents(state, "rabbitBlocked");
+    assert.equal(playerAction(state, "hop"), false);
+    assert.equal(blocked[0].reason, "flooded");
+  });
+
+  it("hurts and dazes the rabbit when it falls", () => {
+    let state = createEmptyGame();
+    setTileHeight(state.world, getTile(state.world, 0, 0), SAFE_DROP + 2);
+    setTileHeight(state.world, getTile(state.world, AHEAD.q, AHEAD.r), 1);
+    setTileHeight(state.world, getTile(state.world, 2, -2), 1);
+    let falls = collectEvents(state, "animalFell");
+
+    playerAction(state, "hop");
+    assert.ok(hexEquals(state.rabbit, AHEAD));
+    assert.equal(falls.length, 1);
+    assert.equal(falls[0].height, SAFE_DROP + 1);
+    assert.equal(state.lives, STARTING_LIVES - 1);
+
+    // the next hop is spent getting back up
+    playerAction(state, "hop");
+    assert.ok(hexEquals(state.rabbit, AHEAD));
+    playerAction(state, "hop");
+    assert.ok(!hexEquals(state.rabbit, AHEAD));
+  });
+
+  it("takes a harmless drop in its stride", () => {
+    let state = createEmptyGame();
+    raiseAhead(state, -SAFE_DROP);
+    let falls = collectEvents(state, "animalFell");
+    playerAction(state, "hop");
+    assert.equal(falls.length, 0);
+    assert.equal(state.lives, STARTING_LIVES);
+  });
+
+  it("swims slowly and leaves the babies waiting on the shore", () => {
+    let state = createEmptyGame();
+    let babyRabbit = { type: "babyRabbit", id: 0, q: 5, r: 0, united: false, caught: false };
+    state.babyRabbits.push(babyRabbit);
+    joinChain(state, babyRabbit);
+    setTileHeight(state.world, getTile(state.world, AHEAD.q, AHEAD.r), getWaterLevel(state.world) / 2);
+    let swimming = collectEvents(state, "animalSwimming");
+    let splits = collectEvents(state, "chainSplit");
+
+    playerAction(state, "hop");
+    assert.ok(hexEquals(state.rabbit, AHEAD));
+    assert.deepEqual(swimming, [state.rabbit]);
+    assert.deepEqual(state.chain, []);
+    assert.equal(babyRabbit.united, false);
+    assert.equal(splits.length, 1);
+
+    playerAction(state, "hop");
+    assert.ok(hexEquals(state.rabbit, AHEAD));
+  });
+});
@@ -0,0 +1,96 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { hexDistance, hexEquals, hexKey, hexRing } from '../src/game/hexgrid.js';
+import { MAX_CLIMB } from '../src/game/movement.js';
+import { createPathfinder, findPath } from '../src/game/pathfinding.js';
+import { getTile } from '../src/game/world.js';
+import { blockTile, createFlatWorld } from './helpers.js';
+
+// every step of the path is a single hop onto a tile that isn't blocked
+function assertWalkablePath(world, start, path) {
+  let previous = start;
+  for (let tile of path) {
+    assert.equal(hexDistance(previous, tile), 1);
+    assert.ok(!getTile(world, tile.q, tile.r).blocked);
+    previous = tile;
+  }
+}
+
+describe("findPath", () => {
+  it("goes straight across open ground", () => {
+    let world = createFlatWorld();
+    let path = findPath(world, { q: 0, r: 0 }, { q: 4, r: 0 });
+    assert.deepEqual(path.map((tile) => hexKey(tile.q, tile.r)), ["1,0", "2,0", "3,0", "4,0"]);
+  });
+
+  it("is empty when already there", () => {
+    assert.deepEqual(findPath(createFlatWorld(), { q: 1, r: 1 }, { q: 1, r: 1 }), []);
+  });
+
+  it("walks around obstacles", () => {
+    let world = createFlatWorld();
+    blockTile(world, 1, 0);
+    blockTile(world, 2, 0);
+    let path = findPath(world, { q: 0, r: 0 }, { q: 3, r: 0 });
+    assert.ok(hexEquals(path[path.length - 1], { q: 3, r: 0 }));
+    assert.ok(path.length > 3);
+    assertWalkablePath(world, { q: 0, r: 0 }, path);
+  });
+
+  it("won't climb a cliff", () => {
+    let world = createFlatWorld();
+    let goal = getTile(world, 2, 0);
+    goal.height += MAX_CLIMB + 1;
+    assert.equal(findPath(world, { q: 0, r: 0 }, goal), undefined);
+  });
+
+  it("gives up when the goal is walled in", () => {
+    let world = createFlatWorld();
+    for (let hex of hexRing({ q: 3, r: 0 }, 1)) blockTile(world, hex.q, hex.r);
+    assert.equal(findPath(world, { q: 0, r: 0 }, { q: 3, r: 0 }), undefined);
+  });
+
+  it("steps around blocked tiles but onto a blocked goal", () => {
+    let world = createFlatWorld();
+    let taken = new Set(["1,0", "3,0"]);
+    let isBlocked = (tile) => taken.has(hexKey(tile.q, tile.r));
+    let path = findPath(world, { q: 0, r: 0 }, { q: 3, r: 0 }, isBlocked);
+    assert.ok(hexEquals(path[path.length - 1], { q: 3, r: 0 }));
+    assert.ok(path.slice(0, -1).every((tile) => !isBlocked(tile)));
+    assertWalkablePath(world, { q: 0, r: 0 }, path);
+  });
+});
+
+describe("createPathfinder", () => {
+  it("hands out the path one step at a time", () => {
+    let world = createFlatWorld();
+    let pathfinder = createPathfinder(world);
+    let agent = { q: 0, r: 0 };
+    let goal = { q: -3, r: 3 };
+    for (let i = 0; i < 3; i++) {
+      let next = pathfinder.nextStep(agent, goal);
+      assert.equal(hexDistance(agent, next), 1);
+      agent.q = next.q;
+      agent.r = next.r;
+    }
+    assert.ok(hexEquals(agent, goal));
+  });
+
+  it("finds a new way once the terrain changes", () => {
+    let world = createFlatWorld();
+    let pathfinder = createPathfinder(world);
+    let agent = { q: 0, r: 0 };
+    assert.ok(hexEquals(pathfinder.nextStep(agent, { q: 3, r: 0 }), { q: 1, r: 0 }));
+
+    blockTile(world, 1, 0);
+    pathfinder.invalidate();
+    let next = pathfinder.nextStep(agent, { q: 3, r: 0 });
+    assert.ok(!hexEquals(next, { q: 1, r: 0 }));
+  });
+
+  it("returns nothing for an unreachable goal", () => {
+    let world = createFlatWorld();
+    for (let hex of hexRing({ q: 3, r: 0 }, 1)) blockTile(world, hex.q, hex.r);
+    assert.equal(createPathfinder(world).nextStep({ q: 0, r: 0 }, { q: 3, r: 0 }), undefined);
+  });
+});
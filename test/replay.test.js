@@ -0,0 +1,98 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { REPLAY_VERSION, createRecorder, createReplay, isReplay } from '../src/game/replay.js';
+import { updateScore } from '../src/game/scoring.js';
+import { createGameState, playerAction, tickGame } from '../src/game/state.js';
+import { createRandom } from '../src/random.js';
+import { createNoisyWorld } from './helpers.js';
+
+const SESSION = { seed: 3, config: { length: 40 }, tickSeconds: 0.5 };
+const ACTIONS = ["hop", "hop", "turnLeft", "hop", "turnRight"];
+
+function createGame(mode) {
+  return createGameState(createNoisyWorld(SESSION.seed), createRandom(SESSION.seed), {
+    babyRabbits: 4,
+    foxes: 2,
+    bears: 1,
+    traps: { snare: 2 },
+    mode,
+  });
+}
+
+// where everyone ended up and how the game went
+function describeGame(game) {
+  return JSON.stringify({
+    tick: game.tick,
+    status: game.status,
+    rabbit: game.rabbit,
+    babyRabbits: game.babyRabbits,
+    foxes: game.foxes,
+    bears: game.bears,
+    lives: game.lives,
+    score: game.score,
+  });
+}
+
+// plays a game the way the browser would, recording every action, and
+// returns the game and its recording
+function playGame(mode, ticks) {
+  let game = createGame(mode);
+  let recorder = createRecorder(game, SESSION);
+  let random = createRandom(11);
+  for (let tick = 0; tick < ticks && game.status == "playing"; tick++) {
+    let action = ACTIONS[Math.floor(random() * ACTIONS.length)];
+    recorder.record(action);
+    playerAction(game, action);
+    if (mode == "realtime" && game.status == "playing") {
+      updateScore(game, (tick + 1) * SESSION.tickSeconds);
+      tickGame(game);
+    }
+  }
+  // as a save file would bring it back
+  return { game, recording: JSON.parse(JSON.stringify(recorder.toJSON())) };
+}
+
+function playBack(recording) {
+  let game = createGame("turnBased");
+  let replay = createReplay(recording, game);
+  while (!replay.isFinished()) replay.step();
+  return game;
+}
+
+describe("replays", () => {
+  for (let mode of ["turnBased", "realtime"]) {
+    it("play a " + mode + " game back exactly as it went", () => {
+      let { game, recording } = playGame(mode, 60);
+      assert.ok(game.tick > 0);
+      let replayed = playBack(recording);
+      assert.equal(replayed.mode, mode);
+      assert.equal(describeGame(replayed), describeGame(game));
+    });
+  }
+
+  it("record the session and outcome alongside the inputs", () => {
+    let { game, recording } = playGame("turnBased", 10);
+    assert.equal(recording.version, REPLAY_VERSION);
+    assert.equal(recording.seed, SESSION.seed);
+    assert.deepEqual(recording.config, SESSION.config);
+    assert.equal(recording.ticks, game.tick);
+    assert.equal(recording.status, game.status);
+    assert.equal(recording.inputs.length, 10);
+    assert.deepEqual(recording.inputs[0], [0, recording.inputs[0][1]]);
+  });
+
+  it("refuse recordings made under other rules", () => {
+    let { recording } = playGame("turnBased", 10);
+    for (let version of [REPLAY_VERSION - 1, REPLAY_VERSION + 1]) {
+      let other = { ...recording, version };
+      assert.equal(isReplay(other), false);
+      assert.throws(() => createReplay(other, createGame("turnBased")), /Not a replay/);
+    }
+  });
+
+  it("refuse anything that isn't a recording", () => {
+    assert.equal(isReplay(null), false);
+    assert.equal(isReplay({ version: REPLAY_VERSION }), false);
+    assert.equal(isReplay({ version: REPLAY_VERSION, inputs: [], seed: 1 }), false);
+  });
+});
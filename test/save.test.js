@@ -0,0 +1,126 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { DAY_START } from '../src/game/daynight.js';
+import { SAVE_VERSION, deserializeGame, migrateSave, serializeGame } from '../src/game/save.js';
+import { createGameState, playerAction, tickGame } from '../src/game/state.js';
+import { createRandom } from '../src/random.js';
+import { createNoisyWorld } from './helpers.js';
+
+const SESSION = { seed: 5, config: { length: 40 }, elapsedTime: 12 };
+
+function createGame(options = {}) {
+  return createGameState(createNoisyWorld(5), createRandom(5), {
+    babyRabbits: 4,
+    foxes: 2,
+    bears: 1,
+    traps: { snare: 2 },
+    mode: "turnBased",
+    ...options,
+  });
+}
+
+// the save as it would come back out of local storage or a file
+function storeGame(game) {
+  return JSON.parse(JSON.stringify(serializeGame(game, SESSION)));
+}
+
+// everything about a game that play can change
+function describeGame(game) {
+  return JSON.stringify({
+    tick: game.tick,
+    status: game.status,
+    rabbit: game.rabbit,
+    babyRabbits: game.babyRabbits,
+    foxes: game.foxes,
+    bears: game.bears,
+    traps: game.traps,
+    lives: game.lives,
+    score: game.score,
+    weather: game.weather,
+  });
+}
+
+// a save as the very first version of the game wrote it: no goal, time of
+// day or weather, and foxes and bears with nothing but where they stand
+function createFirstSave() {
+  let save = JSON.parse(JSON.stringify(serializeGame(createGame(), SESSION)));
+  save.version = 1;
+  delete save.game.randomState;
+  delete save.game.goal;
+  delete save.game.dayStart;
+  delete save.game.weather;
+  save.game.foxes = save.game.foxes.map(({ type, id, q, r }) => ({ type, id, q, r }));
+  save.game.bears = save.game.bears.map(({ angle, ...bear }) => bear);
+  return save;
+}
+
+describe("saving and loading", () => {
+  it("puts the game back as it was", () => {
+    let game = createGame();
+    for (let i = 0; i < 10; i++) playerAction(game, i % 3 == 0 ? "turnLeft" : "hop");
+    let loaded = deserializeGame(storeGame(game));
+    assert.equal(describeGame(loaded.game), describeGame(game));
+    assert.equal(loaded.game.world.tiles.size, game.world.tiles.size);
+    assert.equal(loaded.seed, SESSION.seed);
+    assert.deepEqual(loaded.config, SESSION.config);
+    assert.equal(loaded.elapsedTime, SESSION.elapsedTime);
+  });
+
+  it("carries on exactly as the saved game would have", () => {
+    // a game nobody plays, which keeps going however often the rabbit is
+    // bitten
+    let game = createGame({ lives: 1000, goal: { type: "survive", ticks: 1000 } });
+    for (let i = 0; i < 40; i++) tickGame(game);
+    let loaded = deserializeGame(storeGame(game)).game;
+    // long enough for the weather to change and the foxes to pick new spots
+    for (let i = 0; i < 150; i++) {
+      tickGame(game);
+      tickGame(loaded);
+    }
+    assert.equal(game.status, "playing");
+    assert.equal(describeGame(loaded), describeGame(game));
+  });
+
+  it("refuses saves from a newer version of the game", () => {
+    let data = storeGame(createGame());
+    data.version = SAVE_VERSION + 1;
+    assert.throws(() => deserializeGame(data), /newer version/);
+  });
+
+  it("refuses anything that isn't a save", () => {
+    assert.throws(() => deserializeGame(null), /Not a saved game/);
+    assert.throws(() => deserializeGame({ hello: "world" }), /Not a saved game/);
+    assert.throws(() => deserializeGame({ version: SAVE_VERSION }), /incomplete/);
+  });
+});
+
+describe("migrateSave", () => {
+  it("brings the first version of saves up to date", () => {
+    let save = migrateSave(createFirstSave());
+    assert.equal(save.version, SAVE_VERSION);
+    assert.deepEqual(save.game.goal, { type: "home" });
+    assert.equal(save.game.dayStart, DAY_START);
+    assert.equal(save.game.weather.type, "clear");
+    for (let fox of save.game.foxes) {
+      assert.deepEqual(fox.home, { q: fox.q, r: fox.r });
+      assert.equal(fox.mode, "patrol");
+      assert.equal(typeof fox.angle, "number");
+    }
+    for (let bear of save.game.bears) assert.equal(typeof bear.angle, "number");
+    assert.equal(save.game.randomState, SESSION.seed);
+  });
+
+  it("loads a migrated save into a game that plays on", () => {
+    let { game } = deserializeGame(createFirstSave());
+    for (let i = 0; i < 20; i++) tickGame(game);
+    assert.equal(game.tick, 20);
+    assert.ok(game.foxes.every((fox) => fox.home != undefined));
+  });
+
+  it("doesn't change the save it is given", () => {
+    let save = createFirstSave();
+    let copy = structuredClone(save);
+    migrateSave(save);
+    assert.deepEqual(save, copy);
+  });
+});
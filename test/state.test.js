@@ -0,0 +1,212 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createFox } from '../src/game/foxes.js';
+import { hexDistance, hexEquals, hexKey } from '../src/game/hexgrid.js';
+import { STARTING_LIVES, STARTING_SCORE } from '../src/game/scoring.js';
+import {
+  PREDATOR_SPAWN_DISTANCE,
+  checkGameOver,
+  createGameState,
+  playerAction,
+  tickGame
+} from '../src/game/state.js';
+import { floodTiles } from '../src/game/weather.js';
+import { getTile, getWaterLevel, isWalkable } from '../src/game/world.js';
+import { createRandom } from '../src/random.js';
+import { blockTile, collectEvents, createEmptyGame, createNoisyWorld } from './helpers.js';
+
+// the normal difficulty's animals, see config.js
+const NORMAL = { babyRabbits: 4, foxes: 2, bears: 1, traps: {} };
+
+function addBaby(state, q, r) {
+  let babyRabbit = { type: "babyRabbit", id: state.babyRabbits.length, q, r, united: false, caught: false };
+  state.babyRabbits.push(babyRabbit);
+  return babyRabbit;
+}
+
+function getPositions(state) {
+  return [...state.babyRabbits, ...state.foxes, ...state.bears].map((animal) => hexKey(animal.q, animal.r));
+}
+
+describe("createGameState", () => {
+  it("places the same animals in the same spots for the same seed", () => {
+    let a = createGameState(createNoisyWorld(7), createRandom(7), NORMAL);
+    let b = createGameState(createNoisyWorld(7), createRandom(7), NORMAL);
+    assert.deepEqual(getPositions(a), getPositions(b));
+  });
+
+  it("puts every animal on its own walkable tile away from the rabbit", () => {
+    for (let seed = 1; seed <= 10; seed++) {
+      let state = createGameState(createNoisyWorld(seed), createRandom(seed), NORMAL);
+      assert.equal(state.babyRabbits.length, NORMAL.babyRabbits);
+      let positions = getPositions(state);
+      assert.equal(new Set(positions).size, positions.length);
+      assert.ok(!positions.includes(hexKey(0, 0)));
+      for (let animal of [...state.babyRabbits, ...state.foxes, ...state.bears]) {
+        assert.ok(isWalkable(getTile(state.world, animal.q, animal.r)));
+      }
+    }
+  });
+
+  it("keeps predators away from the rabbit and the babies", () => {
+    for (let seed = 1; seed <= 40; seed++) {
+      let state = createGameState(createNoisyWorld(seed), createRandom(seed), NORMAL);
+      assert.equal(state.foxes.length, NORMAL.foxes);
+      assert.equal(state.bears.length, NORMAL.bears);
+      for (let predator of [...state.foxes, ...state.bears]) {
+        for (let prey of [state.rabbit, ...state.babyRabbits]) {
+          assert.ok(hexDistance(predator, prey) >= PREDATOR_SPAWN_DISTANCE);
+        }
+      }
+    }
+  });
+});
+
+describe("moving the rabbit", () => {
+  it("hops the way it is facing", () => {
+    let state = createEmptyGame();
+    let moves = collectEvents(state, "rabbitMoved");
+    // the rabbit starts facing 60 degrees, up and to the right
+    assert.equal(playerAction(state, "hop"), true);
+    assert.ok(hexEquals(state.rabbit, { q: 1, r: -1 }));
+    assert.equal(moves.length, 1);
+  });
+
+  it("turns on the spot", () => {
+    let state = createEmptyGame();
+    playerAction(state, "turnLeft");
+    assert.equal(state.rabbit.angle, 120);
+    playerAction(state, "turnRight");
+    playerAction(state, "turnRight");
+    assert.equal(state.rabbit.angle, 0);
+    assert.ok(hexEquals(state.rabbit, { q: 0, r: 0 }));
+  });
+
+  it("won't hop into a rock and doesn't lose a turn trying", () => {
+    let state = createEmptyGame();
+    blockTile(state.world, 1, -1);
+    let blocked = collectEvents(state, "rabbitBlocked");
+    assert.equal(playerAction(state, "hop"), false);
+    assert.ok(hexEquals(state.rabbit, { q: 0, r: 0 }));
+    assert.equal(blocked[0].reason, "obstacle");
+    assert.equal(state.tick, 0);
+  });
+
+  it("won't hop off the edge of the map", () => {
+    let state = createEmptyGame();
+    // walk right until there is no more map
+    state.rabbit.angle = 0;
+    while (getTile(state.world, state.rabbit.q + 1, state.rabbit.r) != undefined) playerAction(state, "hop");
+    let blocked = collectEvents(state, "rabbitBlocked");
+    assert.equal(playerAction(state, "hop"), false);
+    assert.equal(blocked[0].reason, "edge");
+  });
+
+  it("only ticks on its own in real time", () => {
+    let state = createEmptyGame({ mode: "realtime" });
+    playerAction(state, "hop");
+    assert.equal(state.tick, 0);
+    tickGame(state);
+    assert.equal(state.tick, 1);
+  });
+});
+
+describe("scoring", () => {
+  it("costs a point every turn in turn based mode", () => {
+    let state = createEmptyGame();
+    playerAction(state, "hop");
+    playerAction(state, "turnLeft");
+    assert.equal(state.score, STARTING_SCORE - 2);
+  });
+
+  it("doesn't charge for turns in real time", () => {
+    let state = createEmptyGame({ mode: "realtime" });
+    tickGame(state);
+    assert.equal(state.score, STARTING_SCORE);
+  });
+});
+
+describe("rescuing babies", () => {
+  it("picks up a baby by hopping onto it and wins back at the burrow", () => {
+    let state = createEmptyGame({ goal: { type: "home" } });
+    let babyRabbit = addBaby(state, 1, -1);
+    let gameOver = collectEvents(state, "gameOver");
+
+    playerAction(state, "hop");
+    assert.ok(babyRabbit.united);
+    assert.deepEqual(state.chain, [babyRabbit]);
+
+    // turn round and hop back home, the baby following
+    for (let i = 0; i < 3; i++) playerAction(state, "turnLeft");
+    playerAction(state, "hop");
+    assert.ok(hexEquals(babyRabbit, { q: 1, r: -1 }));
+    assert.equal(state.status, "won");
+    assert.deepEqual(gameOver, [{ status: "won", reason: "home" }]);
+  });
+
+  it("only needs goal.count babies home when rescuing", () => {
+    let state = createEmptyGame({ goal: { type: "rescue", count: 1 } });
+    addBaby(state, 1, -1);
+    addBaby(state, 5, 0).caught = true;
+
+    playerAction(state, "hop");
+    for (let i = 0; i < 3; i++) playerAction(state, "turnLeft");
+    playerAction(state, "hop");
+    assert.equal(state.status, "won");
+  });
+});
+
+describe("foxes", () => {
+  it("bite the rabbit when they land on it", () => {
+    let state = createEmptyGame();
+    state.foxes.push(createFox(0, { q: 1, r: 0 }));
+    let bites = collectEvents(state, "rabbitBitten");
+
+    tickGame(state);
+    assert.ok(hexEquals(state.foxes[0], state.rabbit));
+    assert.equal(bites.length, 1);
+    assert.equal(state.lives, STARTING_LIVES - 1);
+    assert.ok(state.score < STARTING_SCORE);
+  });
+
+  it("lose the game by eating a waiting baby", () => {
+    let state = createEmptyGame({ goal: { type: "home" } });
+    let babyRabbit = addBaby(state, 1, 0);
+    let fox = createFox(0, { q: 2, r: 0 });
+    fox.angle = 180;
+    state.foxes.push(fox);
+    let gameOver = collectEvents(state, "gameOver");
+
+    // the fox goes for the rabbit, straight through the baby in between
+    tickGame(state);
+    assert.ok(babyRabbit.caught);
+    assert.deepEqual(gameOver, [{ status: "lost", reason: "babyCaught" }]);
+  });
+
+  it("end the game when the rabbit runs out of lives", () => {
+    let state = createEmptyGame({ lives: 1 });
+    state.foxes.push(createFox(0, { q: 1, r: 0 }));
+    tickGame(state);
+    assert.equal(state.status, "lost");
+    assert.equal(state.lives, 0);
+  });
+});
+
+describe("the flood", () => {
+  it("sweeps away a waiting baby and loses the game", () => {
+    let state = createEmptyGame({ goal: { type: "home" } });
+    let babyRabbit = addBaby(state, 3, 0);
+    let tile = getTile(state.world, 3, 0);
+    tile.terrain = "sand";
+    tile.height = getWaterLevel(state.world) + 0.1;
+    let swept = collectEvents(state, "babySwept");
+    let gameOver = collectEvents(state, "gameOver");
+
+    state.weather.flood = 0.2;
+    floodTiles(state);
+    checkGameOver(state);
+    assert.ok(tile.flooded);
+    assert.deepEqual(swept, [babyRabbit]);
+    assert.deepEqual(gameOver, [{ status: "lost", reason: "babySwept" }]);
+  });
+});
@@ -0,0 +1,116 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createFox } from '../src/game/foxes.js';
+import { hexDistance, hexKey } from '../src/game/hexgrid.js';
+import { STARTING_LIVES, STARTING_SCORE } from '../src/game/scoring.js';
+import { createGameState, playerAction, tickGame } from '../src/game/state.js';
+import { TRAP_TYPES, createTrap, placeTraps } from '../src/game/traps.js';
+import { getTile, isWalkable } from '../src/game/world.js';
+import { createRandom } from '../src/random.js';
+import { collectEvents, createEmptyGame, createNoisyWorld } from './helpers.js';
+
+// hops the rabbit until it actually moves, returning how many actions that
+// took including the hop that worked
+function hopUntilMoved(state) {
+  let start = { q: state.rabbit.q, r: state.rabbit.r };
+  let actions = 0;
+  while (state.rabbit.q == start.q && state.rabbit.r == start.r) {
+    playerAction(state, "hop");
+    actions++;
+  }
+  return actions;
+}
+
+describe("placeTraps", () => {
+  it("only sets traps on open ground of the right terrain, away from the rabbit and spawns", () => {
+    for (let seed = 1; seed <= 10; seed++) {
+      let state = createGameState(createNoisyWorld(seed), createRandom(seed), {
+        babyRabbits: 4,
+        foxes: 2,
+        bears: 1,
+        traps: { snare: 5, pitfall: 5, bearTrap: 5 },
+      });
+      let animals = new Set([...state.babyRabbits, ...state.foxes, ...state.bears]
+        .map((animal) => hexKey(animal.q, animal.r)));
+      let keys = state.traps.map((trap) => hexKey(trap.q, trap.r));
+      assert.equal(new Set(keys).size, keys.length);
+
+      for (let trap of state.traps) {
+        let tile = getTile(state.world, trap.q, trap.r);
+        assert.ok(isWalkable(tile));
+        assert.ok(TRAP_TYPES[trap.kind].terrain.includes(tile.terrain));
+        assert.ok(hexDistance(trap, { q: 0, r: 0 }) > 2);
+        assert.ok(!animals.has(hexKey(trap.q, trap.r)));
+        assert.equal(trap.hidden, TRAP_TYPES[trap.kind].hidden);
+      }
+    }
+  });
+
+  it("skips reserved tiles and stops when it runs out of room", () => {
+    let state = createEmptyGame();
+    let reserved = new Set(state.world.tiles.keys());
+    assert.deepEqual(placeTraps(state, { snare: 3 }, reserved), []);
+  });
+});
+
+describe("springing a trap", () => {
+  for (let kind of Object.keys(TRAP_TYPES)) {
+    it("holds the rabbit for the whole " + kind, () => {
+      let rules = TRAP_TYPES[kind];
+      let state = createEmptyGame();
+      state.traps.push(createTrap(0, kind, { q: 1, r: -1 }));
+      let sprung = collectEvents(state, "trapTriggered");
+
+      playerAction(state, "hop");
+      assert.equal(sprung.length, 1);
+      assert.ok(state.traps[0].triggered);
+      assert.equal(state.traps[0].hidden, false);
+      // every turn spent stuck is a wasted hop before the one that works
+      assert.equal(hopUntilMoved(state), rules.stuckTicks + 1);
+    });
+  }
+
+  it("hurts the rabbit and costs points", () => {
+    let state = createEmptyGame({ mode: "realtime" });
+    state.traps.push(createTrap(0, "bearTrap", { q: 1, r: -1 }));
+    playerAction(state, "hop");
+    assert.equal(state.lives, STARTING_LIVES - TRAP_TYPES.bearTrap.damage);
+    assert.equal(state.score, Math.round(STARTING_SCORE * TRAP_TYPES.bearTrap.penalty));
+  });
+
+  it("holds the rabbit for as many real time ticks as turns", () => {
+    let state = createEmptyGame({ mode: "realtime" });
+    state.traps.push(createTrap(0, "snare", { q: 1, r: -1 }));
+    playerAction(state, "hop");
+    let stuck = collectEvents(state, "rabbitStuck");
+    for (let i = 0; i < TRAP_TYPES.snare.stuckTicks; i++) {
+      tickGame(state);
+      playerAction(state, "hop");
+    }
+    assert.equal(stuck.length, TRAP_TYPES.snare.stuckTicks);
+    tickGame(state);
+    playerAction(state, "hop");
+    assert.equal(hexKey(state.rabbit.q, state.rabbit.r), "2,-2");
+  });
+
+  it("holds predators twice as long and pays a bonus for them", () => {
+    let state = createEmptyGame();
+    let fox = createFox(0, { q: 3, r: 0 });
+    state.foxes.push(fox);
+    state.traps.push(createTrap(0, "snare", { q: 2, r: 0 }));
+    // the fox hears the rabbit and comes to look, straight into the snare
+    fox.mode = "investigate";
+    fox.lastSeen = { q: 0, r: 0 };
+
+    tickGame(state);
+    assert.equal(hexKey(fox.q, fox.r), "2,0");
+    assert.equal(fox.stuckTicks, TRAP_TYPES.snare.stuckTicks * 2);
+    assert.equal(state.score, STARTING_SCORE - 1 + 100);
+    for (let i = 0; i < TRAP_TYPES.snare.stuckTicks * 2; i++) {
+      tickGame(state);
+      assert.equal(hexKey(fox.q, fox.r), "2,0");
+    }
+    tickGame(state);
+    assert.notEqual(hexKey(fox.q, fox.r), "2,0");
+  });
+});
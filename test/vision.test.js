@@ -0,0 +1,110 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { hexKey } from '../src/game/hexgrid.js';
+import { canSee, getAngleBetween, getFacing, getVisibleTiles, hasLineOfSight } from '../src/game/vision.js';
+import { getTile, setTileHeight } from '../src/game/world.js';
+import { blockTile, createFlatWorld } from './helpers.js';
+
+const CENTER = { q: 0, r: 0 };
+// a viewer at the center looking along +q, with a fox's view
+const VIEWER = { q: 0, r: 0, angle: 0 };
+const VISION = { range: 3, cone: 120 };
+
+function raiseTile(world, q, r, step) {
+  let tile = getTile(world, q, r);
+  setTileHeight(world, tile, tile.height + step);
+}
+
+describe("hasLineOfSight", () => {
+  it("sees across open ground", () => {
+    let world = createFlatWorld();
+    assert.ok(hasLineOfSight(world, CENTER, { q: 4, r: 0 }));
+    assert.ok(hasLineOfSight(world, CENTER, { q: 2, r: -4 }));
+  });
+
+  it("is cut by a tree or rock on the way, but not at either end", () => {
+    let world = createFlatWorld();
+    blockTile(world, 2, 0);
+    assert.equal(hasLineOfSight(world, CENTER, { q: 4, r: 0 }), false);
+    assert.ok(hasLineOfSight(world, CENTER, { q: 2, r: 0 }));
+    assert.ok(hasLineOfSight(world, { q: 2, r: 0 }, CENTER));
+  });
+
+  it("is cut by ground rising above eye height", () => {
+    let world = createFlatWorld();
+    raiseTile(world, 2, 0, 0.4);
+    assert.ok(hasLineOfSight(world, CENTER, { q: 4, r: 0 }));
+    raiseTile(world, 2, 0, 0.4);
+    assert.equal(hasLineOfSight(world, CENTER, { q: 4, r: 0 }), false);
+  });
+
+  it("looks over a ridge from high enough up", () => {
+    let world = createFlatWorld();
+    raiseTile(world, 2, 0, 1);
+    raiseTile(world, 0, 0, 2);
+    assert.ok(hasLineOfSight(world, CENTER, { q: 4, r: 0 }));
+  });
+
+  it("sees nothing off the map", () => {
+    assert.equal(hasLineOfSight(createFlatWorld(), CENTER, { q: 40, r: 0 }), false);
+  });
+});
+
+describe("canSee", () => {
+  it("sees what is ahead and in range", () => {
+    let world = createFlatWorld();
+    assert.ok(canSee(world, VIEWER, { q: 3, r: 0 }, VISION));
+    assert.equal(canSee(world, VIEWER, { q: 4, r: 0 }, VISION), false);
+  });
+
+  it("only sees within its cone", () => {
+    let world = createFlatWorld();
+    // about 30 degrees off to either side
+    assert.ok(canSee(world, VIEWER, { q: 2, r: -1 }, VISION));
+    assert.ok(canSee(world, VIEWER, { q: 1, r: 1 }, VISION));
+    // 120 degrees off, and right behind
+    assert.equal(canSee(world, VIEWER, { q: 0, r: -2 }, VISION), false);
+    assert.equal(canSee(world, VIEWER, { q: -2, r: 0 }, VISION), false);
+    assert.ok(canSee(world, VIEWER, { q: 0, r: -2 }, { ...VISION, cone: 360 }));
+  });
+
+  it("always notices anything right next to it", () => {
+    let world = createFlatWorld();
+    assert.ok(canSee(world, VIEWER, { q: -1, r: 0 }, VISION));
+  });
+
+  it("can't see through a rock", () => {
+    let world = createFlatWorld();
+    blockTile(world, 1, 0);
+    assert.equal(canSee(world, VIEWER, { q: 2, r: 0 }, VISION), false);
+  });
+});
+
+describe("facing", () => {
+  it("measures angles counter clockwise from +q", () => {
+    assert.equal(getAngleBetween(CENTER, { q: 1, r: 0 }), 0);
+    assert.equal(getAngleBetween(CENTER, { q: -1, r: 0 }), 180);
+    assert.ok(Math.abs(getAngleBetween(CENTER, { q: 1, r: -1 }) - 60) < 0.5);
+  });
+
+  it("turns to the nearest of the six directions", () => {
+    assert.equal(getFacing(CENTER, { q: 3, r: -1 }), 0);
+    assert.equal(getFacing(CENTER, { q: 0, r: 3 }), 300);
+    assert.equal(getFacing({ q: 3, r: 0 }, CENTER), 180);
+  });
+});
+
+describe("getVisibleTiles", () => {
+  it("sees every tile in range on open ground", () => {
+    let world = createFlatWorld();
+    assert.equal(getVisibleTiles(world, CENTER, 2).length, 19);
+  });
+
+  it("leaves out tiles hidden behind a rock, but not the rock", () => {
+    let world = createFlatWorld();
+    blockTile(world, 1, 0);
+    let keys = getVisibleTiles(world, CENTER, 2).map((tile) => hexKey(tile.q, tile.r));
+    assert.ok(keys.includes(hexKey(1, 0)));
+    assert.ok(!keys.includes(hexKey(2, 0)));
+  });
+});
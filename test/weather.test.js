@@ -0,0 +1,132 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createBear } from '../src/game/bears.js';
+import { getFoxVision } from '../src/game/foxes.js';
+import { playerAction } from '../src/game/state.js';
+import {
+  WEATHER_NAMES,
+  createWeather,
+  describeWeather,
+  getFloodLevel,
+  getWeatherSight,
+  updateWeather
+} from '../src/game/weather.js';
+import { getTile, getWaterLevel } from '../src/game/world.js';
+import { createRandom } from '../src/random.js';
+import { collectEvents, createEmptyGame } from './helpers.js';
+
+// a game stuck in one kind of weather for as long as the test needs
+function createWeatherGame(type, flood = 0) {
+  let state = createEmptyGame();
+  state.weather = { type, ticksLeft: 1000, flood };
+  return state;
+}
+
+function getWeatherTypes(seed, ticks) {
+  let state = createEmptyGame();
+  state.random = createRandom(seed);
+  let types = [];
+  for (let i = 0; i < ticks; i++) {
+    updateWeather(state);
+    types.push(state.weather.type);
+  }
+  return types;
+}
+
+describe("the weather", () => {
+  it("starts with a spell of clear skies", () => {
+    let state = createEmptyGame();
+    assert.deepEqual(state.weather, createWeather());
+    let changes = collectEvents(state, "weatherChanged");
+    while (state.weather.type == "clear") updateWeather(state);
+    assert.equal(changes.length, 1);
+    assert.ok(changes[0].ticksLeft > 0);
+    assert.ok(Object.keys(WEATHER_NAMES).includes(changes[0].type));
+  });
+
+  it("clears up between spells", () => {
+    let types = getWeatherTypes(4, 1000);
+    for (let i = 1; i < types.length; i++) {
+      if (types[i] != types[i - 1]) assert.ok(types[i] == "clear" || types[i - 1] == "clear");
+    }
+    assert.ok(new Set(types).size > 2);
+  });
+
+  it("is the same every time for the same seed", () => {
+    assert.deepEqual(getWeatherTypes(4, 500), getWeatherTypes(4, 500));
+    assert.notDeepEqual(getWeatherTypes(4, 500), getWeatherTypes(5, 500));
+  });
+});
+
+describe("the flood", () => {
+  it("rises in rain, faster in storms, and only so far", () => {
+    let rain = createWeatherGame("rain");
+    let storm = createWeatherGame("storm");
+    updateWeather(rain);
+    updateWeather(storm);
+    assert.ok(rain.weather.flood > 0);
+    assert.ok(storm.weather.flood > rain.weather.flood);
+
+    for (let i = 0; i < 100; i++) updateWeather(storm);
+    let highest = storm.weather.flood;
+    updateWeather(storm);
+    assert.equal(storm.weather.flood, highest);
+    assert.ok(highest < storm.world.maxHeight);
+  });
+
+  it("drains when it isn't raining, down to the usual level", () => {
+    for (let type of ["clear", "fog"]) {
+      let state = createWeatherGame(type, 0.1);
+      updateWeather(state);
+      assert.ok(state.weather.flood < 0.1);
+      for (let i = 0; i < 100; i++) updateWeather(state);
+      assert.equal(state.weather.flood, 0);
+      assert.equal(getFloodLevel(state), getWaterLevel(state.world));
+    }
+  });
+
+  it("covers low sand and gives it back once it drains", () => {
+    let state = createWeatherGame("rain");
+    let tile = getTile(state.world, 3, 0);
+    tile.terrain = "sand";
+    tile.height = getWaterLevel(state.world) + 0.05;
+    let changes = collectEvents(state, "floodChanged");
+
+    while (!tile.flooded) updateWeather(state);
+    assert.deepEqual(changes[changes.length - 1].tiles, [tile]);
+    // only sand floods
+    assert.ok(!getTile(state.world, 2, 0).flooded);
+
+    state.weather.type = "clear";
+    while (tile.flooded) updateWeather(state);
+    assert.deepEqual(changes[changes.length - 1].tiles, [tile]);
+  });
+});
+
+describe("fog and storms", () => {
+  it("fog cuts how far the foxes see", () => {
+    let clear = createWeatherGame("clear");
+    let fog = createWeatherGame("fog");
+    assert.equal(getWeatherSight(clear), Infinity);
+    assert.ok(getFoxVision(fog).range < getFoxVision(clear).range);
+    assert.equal(getFoxVision(fog).range, getWeatherSight(fog));
+  });
+
+  it("storms drown out the rabbit's hops", () => {
+    for (let type of ["clear", "storm"]) {
+      let state = createWeatherGame(type);
+      state.mode = "realtime";
+      let bear = createBear(0, { q: 3, r: -1 }, createRandom(1));
+      state.bears.push(bear);
+      playerAction(state, "hop");
+      assert.equal(bear.mode, type == "storm" ? "sleeping" : "awake");
+    }
+  });
+
+  it("shows in the hud with whether the water is rising", () => {
+    assert.equal(describeWeather({ type: "clear" }), "Clear");
+    assert.equal(describeWeather({ type: "fog" }), "Fog");
+    assert.equal(describeWeather({ type: "rain" }), "Rain, water rising");
+    assert.equal(describeWeather({ type: "storm" }), "Storm, water rising");
+  });
+});